@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var errors = require('./errors');
+
+/**
+ * Convert `amount` from the `from` currency to `options.to`.
+ *
+ * Rates come from `options.provider(from, to, timestamp, fn)` when given,
+ * or from the `options.rates` table, which holds the value of one unit of
+ * each currency in `options.to`:
+ *
+ *    { EUR: 1.08, JPY: 0.0067 }
+ *
+ * `fn(err, conversion)` receives `{ amount, currency, originalAmount,
+ * originalCurrency, rate }`, or nothing when there is nothing to convert.
+ *
+ * @param {Number} amount
+ * @param {String} from
+ * @param {Object} options
+ * @param {Function} fn
+ * @api private
+ */
+
+module.exports = function(amount, from, options, fn) {
+  var to = options.to && options.to.toUpperCase();
+  from = (from || 'USD').toUpperCase();
+
+  if (!amount || !to || from === to) return fn();
+  if (options.provider) return options.provider(from, to, options.timestamp, done);
+  done(null, (options.rates || {})[from]);
+
+  function done(err, rate) {
+    if (err) return fn(err);
+    rate = Number(rate);
+    if (!rate) {
+      return fn(new errors.MixpanelError(errors.VALIDATION, 'no exchange rate from ' + from + ' to ' + to, 400));
+    }
+
+    fn(null, {
+      amount: Math.round(amount * rate * 100) / 100,
+      currency: to,
+      originalAmount: amount,
+      originalCurrency: from,
+      rate: rate
+    });
+  }
+};
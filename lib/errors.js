@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var inherits = require('util').inherits;
+
+/**
+ * Error codes.
+ */
+
+var AUTH = exports.AUTH = 'auth_error';
+var VALIDATION = exports.VALIDATION = 'validation_error';
+var RATE_LIMIT = exports.RATE_LIMIT = 'rate_limited';
+var PAYLOAD_TOO_LARGE = exports.PAYLOAD_TOO_LARGE = 'payload_too_large';
+var SERVER = exports.SERVER = 'server_error';
+var NETWORK = exports.NETWORK = 'network_error';
+
+/**
+ * Codes that are worth retrying.
+ */
+
+var retryable = [RATE_LIMIT, SERVER, NETWORK];
+
+/**
+ * Expose `MixpanelError`
+ */
+
+exports.MixpanelError = MixpanelError;
+
+/**
+ * An error returned by Mixpanel.
+ *
+ * `.code` is one of the error codes above, `.retryable` tells whether the
+ * request may succeed when retried, after `.retryAfter` ms if set.
+ *
+ * @param {String} code
+ * @param {String} message
+ * @param {Number} status
+ * @api private
+ */
+
+function MixpanelError(code, message, status) {
+  Error.call(this);
+  Error.captureStackTrace(this, MixpanelError);
+  this.name = 'MixpanelError';
+  this.code = code;
+  this.message = message;
+  this.status = status;
+  this.retryable = retryable.indexOf(code) !== -1;
+}
+
+inherits(MixpanelError, Error);
+
+/**
+ * Create an error from a failed request, `err` may be a network error or an
+ * error for a non-2xx `res`.
+ *
+ * Network errors keep the code of `err`, like `ECONNABORTED`, as `.errno`
+ * and the `.timeout` of requests that timed out.
+ *
+ * @param {Error} err
+ * @param {Response} [res]
+ * @return {MixpanelError}
+ * @api private
+ */
+
+exports.fromResponse = function(err, res) {
+  var status = res && res.status || err && err.status;
+  var body = res && res.body || {};
+  var message = body.error || err && err.message || 'Mixpanel returned ' + status;
+  var error;
+
+  if (!status) {
+    error = new MixpanelError(NETWORK, message);
+    error.cause = err;
+    if (err && err.code) error.errno = err.code;
+    if (err && err.timeout) error.timeout = err.timeout;
+    return error;
+  }
+
+  error = new MixpanelError(codeFor(status), message, status);
+  if (error.code === RATE_LIMIT) error.retryAfter = retryAfter(res || err.response);
+  return error;
+};
+
+/**
+ * Create an error from a `{ status: 0, error }` response body, which Mixpanel
+ * sends with a 200 status code.
+ *
+ * @param {Object} body
+ * @return {MixpanelError}
+ * @api private
+ */
+
+exports.fromBody = function(body) {
+  var message = body && body.error || 'Mixpanel rejected the request';
+  var status = 400;
+
+  if (/api_key|api secret/i.test(message)) status = 401;
+  if (/too large|too long|exceeds/i.test(message)) status = 413;
+  return new MixpanelError(codeFor(status), message, status);
+};
+
+/**
+ * Copy `err` for the message `msg`, so callers can tell which message failed.
+ *
+ * @param {Error} err
+ * @param {Facade} msg
+ * @return {Error}
+ * @api private
+ */
+
+exports.forMessage = function(err, msg) {
+  if (!err || !msg) return err;
+  if (!(err instanceof MixpanelError)) {
+    err.messageId = msg.proxy('messageId');
+    return err;
+  }
+
+  var copy = new MixpanelError(err.code, err.message, err.status);
+  Object.keys(err).forEach(function(key) {
+    copy[key] = err[key];
+  });
+  copy.messageId = msg.proxy('messageId');
+  return copy;
+};
+
+/**
+ * Get the error code for the HTTP `status`.
+ *
+ * @param {Number} status
+ * @return {String}
+ * @api private
+ */
+
+function codeFor(status) {
+  if (status === 401 || status === 403) return AUTH;
+  if (status === 413) return PAYLOAD_TOO_LARGE;
+  if (status === 429) return RATE_LIMIT;
+  if (status >= 500) return SERVER;
+  return VALIDATION;
+}
+
+/**
+ * Get the `Retry-After` header of `res` in milliseconds.
+ *
+ * @param {Response} res
+ * @return {Number}
+ * @api private
+ */
+
+function retryAfter(res) {
+  var header = res && res.header && res.header['retry-after'];
+  if (!header) return;
+  if (/^\d+$/.test(header)) return parseInt(header, 10) * 1000;
+  var date = new Date(header).getTime();
+  if (isNaN(date)) return;
+  return Math.max(date - Date.now(), 0);
+}
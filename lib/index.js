@@ -5,6 +5,7 @@
  */
 
 var integration = require('segmentio-integration');
+var Track = require('segmentio-facade').Track;
 var parse = require('ua-parser-js');
 var object = require('obj-case');
 var time = require('unix-time');
@@ -16,6 +17,12 @@ var tick = setImmediate;
 var ms = require('ms');
 var is = require('is');
 var dates = require('convert-dates');
+var Queue = require('./queue');
+var errors = require('./errors');
+var scrub = require('./scrub');
+var rules = require('./rules');
+var convert = require('./currency');
+var crypto = require('crypto');
 
 /**
  * Expose `Mixpanel`
@@ -28,8 +35,37 @@ var Mixpanel = module.exports = integration('Mixpanel')
   .retries(2);
 
 /**
- * Mixpanel requires an `.apiKey` on `track` and `screen`
- * if the message is older than 5 days. And
+ * The hosts of each data residency region.
+ */
+
+var regions = {
+  us: { api: 'https://api.mixpanel.com', app: 'https://mixpanel.com' },
+  eu: { api: 'https://api-eu.mixpanel.com', app: 'https://eu.mixpanel.com' },
+  in: { api: 'https://api-in.mixpanel.com', app: 'https://in.mixpanel.com' }
+};
+
+/**
+ * IP policies:
+ *
+ *   - `message` geolocates by the IP of the message
+ *   - `drop` sends no IP, nor location
+ *   - `location` sends the `context.location` of the message instead
+ *
+ * Requests always ask Mixpanel not to geolocate by their own IP, which is
+ * the server's.
+ */
+
+var ipPolicies = ['message', 'drop', 'location'];
+
+/**
+ * The `.identityMerge` strategies, see `Mixpanel#alias()`.
+ */
+
+var identityStrategies = ['legacy', 'identify', 'merge', 'simplified'];
+
+/**
+ * Mixpanel requires an `.apiKey`, `.projectSecret` or service account on
+ * `track` and `screen` if the message is older than 5 days. And
  * won't import anything older than 5 years.
  *
  * https://mixpanel.com/docs/api-documentation/importing-events-older-than-5-days
@@ -38,19 +74,59 @@ var Mixpanel = module.exports = integration('Mixpanel')
  */
 
 Mixpanel.ensure(function(msg, settings){
+  if (!region(settings)) {
+    return this.invalid('.region must be one of "' + Object.keys(regions).join('", "') + '".');
+  }
+  if (settings.ipPolicy && ipPolicies.indexOf(settings.ipPolicy) === -1) {
+    return this.invalid('.ipPolicy must be one of "' + ipPolicies.join('", "') + '".');
+  }
+  if (settings.identityMerge && identityStrategies.indexOf(settings.identityMerge) === -1) {
+    return this.invalid('.identityMerge must be one of "' + identityStrategies.join('", "') + '".');
+  }
+  if (settings.serviceAccountUsername && !settings.projectId) {
+    return this.invalid('.projectId is required with a service account.');
+  }
+  var invalidRule = rules.validate(settings.eventRules);
+  if (invalidRule) return this.invalid(invalidRule);
+  if (rules.imports(settings.eventRules) && !canImport(settings)) {
+    return this.invalid('.apiKey or .projectSecret is required for .eventRules that import.');
+  }
+  var projects = settings.projects || [];
+  for (var i = 0; i < projects.length; ++i) {
+    var invalidProject = validateProject(msg, settings, projects[i]);
+    if (invalidProject) return this.invalid('.projects[' + i + ']' + invalidProject);
+  }
   var age = Date.now() - msg.timestamp();
   if (age > ms('5y')) {
     return this.invalid('message.timestamp() must be within the last five years.');
   }
-  if (settings.apiKey) return;
-  if (msg.type() !== 'track' && msg.type() !== 'screen') return;
-  if (!shouldImport(msg)) return;
-  return this.invalid('.apiKey is required if "track" or "screen" message is older than 5 days.');
+  if (canImport(settings)) return;
+  if (msg.type() === 'alias' && settings.identityMerge === 'merge') {
+    return this.invalid('.apiKey or .projectSecret is required to merge ids with the "merge" .identityMerge.');
+  }
+  if (!needsImport(msg, settings)) return;
+  return this.invalid('.apiKey or .projectSecret is required if "track" or "screen" message is older than 5 days.');
 });
 
 /**
  * Identify the Mixpanel user.
  *
+ * Besides `$set`, traits listed in `.setOnceTraits` or
+ * `integrations.Mixpanel.setOnce` are sent with `$set_once` and
+ * traits listed in `.appendTraits` with `$append`.
+ * `integrations.Mixpanel.unset`, `.append` and `.remove` send
+ * `$unset`, `$append` and `$remove` updates.
+ *
+ * Push tokens in `context.device.token` are added to the profile's device
+ * list for `context.device.type`, or removed from it with
+ * `integrations.Mixpanel.removePushToken`. Web push subscriptions go to
+ * the `.webPushProperty` list, and are skipped without one.
+ *
+ * With the `identify` `.identityMerge` strategy, an `$identify` event links
+ * the anonymous id to the user id.
+ *
+ * https://help.mixpanel.com/hc/en-us/articles/360041039771-Getting-Started-with-Identity-Management
+ *
  * https://mixpanel.com/help/reference/http#people-analytics-updates
  *
  * @param {Identify} identify
@@ -59,25 +135,26 @@ Mixpanel.ensure(function(msg, settings){
  */
 
 Mixpanel.prototype.identify = function(identify, fn){
-  if (!this.settings.people) return tick(fn);
+  if (!is.empty(this.settings.projects)) return this.fanOut('identify', identify, fn);
+  var settings = resolveSettings(identify, this.settings);
+  var userId = identify.userId();
+  var anonymousId = identify.anonymousId();
+  var linkIds = settings.identityMerge === 'identify'
+    && userId && anonymousId && userId !== anonymousId;
+
+  if (!settings.people && !linkIds) return tick(fn);
 
   var batch = new Batch;
   batch.throws(true)
   var self = this;
 
-  var ignoreIp = identify.proxy('context.ignoreIp')  // TODO: remove
-    || identify.proxy('context.Mixpanel.ignoreIp');
-
-  var ignoreTime = identify.proxy('context.Mixpanel.ignoreTime')
-    || !identify.active();
-
   // Default querystring and payload data shared across all calls
   var basePayload = {
-    $distinct_id: identify.userId() || identify.sessionId(), // the primary id
-    $token: this.settings.token,
+    $distinct_id: distinctId(identify, settings), // the primary id
+    $token: settings.token,
     $time: identify.timestamp().getTime(),
-    $ip: ignoreIp ? 0 : identify.ip() || 0, // use the ip passed in
-    $ignore_time: ignoreTime,
+    $ip: profileIp(identify, settings) || 0, // use the ip passed in
+    $ignore_time: !!settings.ignoreTime || !identify.active(),
     mp_lib: 'Segment: ' + identify.library().name
   };
   var baseQuery = {
@@ -85,38 +162,62 @@ Mixpanel.prototype.identify = function(identify, fn){
     verbose: 1        // make sure that we get a valid response
   };
 
-  // $set must be a separate call than $union
-  batch.push(function(fn){
-    var payload = extend({ $set: formatTraits(identify) }, basePayload);
-    var query = extend({ data: b64encode(payload) }, baseQuery);
+  if (settings.people) {
+    var options = identify.options('Mixpanel') || {};
+    var traits = formatTraits(identify, settings);
+    if (settings.ipPolicy === 'location') extend(traits, profileLocation(identify));
+    var setOnce = pluck(traits, toArray(settings.setOnceTraits).concat(toArray(options.setOnce)), settings);
+    var append = pluck(traits, toArray(settings.appendTraits), settings);
+    var unset = toArray(options.unset).map(function(name) {
+      return traitName(name, settings);
+    }).filter(Boolean);
+    extend(append, options.append);
+
+    // Each operation must be a separate call
+    update({ $set: traits });
+    if (!is.empty(setOnce)) update({ $set_once: setOnce });
+    if (unset.length) update({ $unset: unset });
+    if (!is.empty(append)) update({ $append: append });
+    if (!is.empty(options.remove)) update({ $remove: options.remove });
+
+    // https://mixpanel.com/help/reference/ios-push-notifications
+    // https://mixpanel.com/help/reference/android-push-notifications
+    // Send device token for push notification support
+    var pushToken = pushTokenUpdate(identify.proxy('context.device') || {}, options, settings);
+    if (pushToken) update(pushToken);
+  }
 
-    self
-      .get('/engage')
-      .query(query)
-      .end(self._parseResponse(fn));
-  });
+  if (linkIds) {
+    batch.push(function(done) {
+      var payload = {
+        event: '$identify',
+        properties: {
+          distinct_id: userId,
+          $identified_id: userId,
+          $anon_id: anonymousId,
+          $insert_id: insertId(identify, settings),
+          time: time(identify.timestamp()),
+          token: settings.token
+        }
+      };
+      self.sendEvent(payload, identify, shouldImport(identify), done);
+    });
+  }
 
-  // https://mixpanel.com/help/reference/ios-push-notifications
-  // Send device token for iOS for push notification support
-  var deviceToken = identify.proxy('context.device.token');
-  if (deviceToken) {
+  batch.end(fn);
+
+  function update(operation) {
     batch.push(function(fn){
-      var payload = extend({
-        $union: {
-          $ios_devices: [deviceToken]
-        }
-      }, basePayload);
+      var payload = extend(operation, basePayload);
+      if (settings.batch) return self.enqueue('/engage', payload, identify, fn);
       var query = extend({ data: b64encode(payload) }, baseQuery);
 
       self
-        .get('/engage')
+        .get(self.url('/engage'))
         .query(query)
-        .end(self._parseResponse(fn));
+        .end(self._parseResponse(fn, identify));
     });
   }
-
-  batch.end(fn);
-
 };
 
 /**
@@ -124,57 +225,195 @@ Mixpanel.prototype.identify = function(identify, fn){
  *
  * https://mixpanel.com/help/reference/http#tracking-events
  *
- * TODO: update people's profile when increment is found.
+ * With `.people`, profiles are updated by `.increments`, `.incrementRules`
+ * and `.peopleProperties`.
  * see: https://mixpanel.com/help/reference/http#update-operations
  *
+ * When `.reportingCurrency` is set, revenue is converted to it first.
+ * Revenue that can't be converted is sent as is, and the error is emitted
+ * as `conversion error`.
+ *
+ * The `.eventRules` may drop, rename or import the event, or skip the
+ * profile updates, see `lib/rules.js`.
+ *
  * @param {Track} track
  * @param {Function} fn
  * @api public
  */
 
 Mixpanel.prototype.track = function(track, fn){
-  var imported = shouldImport(track)
-  var endpoint = imported ? '/import' : '/track';
+  if (!is.empty(this.settings.projects)) return this.fanOut('track', track, fn);
+  var route = rules(track, this.settings.eventRules);
+  var self = this;
+
+  if (route.drop) return tick(fn);
+  if (route.event !== track.event()) {
+    var json = track.json();
+    json.event = route.event;
+    track = new Track(json, track.opts);
+  }
+
+  this.convertRevenue(track, function(err, conversion) {
+    if (err) {
+      self.debug('could not convert revenue: %s', err.message);
+      self.emit('conversion error', errors.forMessage(err, track));
+      conversion = null;
+    }
+    self.sendTrack(track, conversion, route, fn);
+  });
+};
+
+/**
+ * Send `track` with its revenue `conversion` along its `route`.
+ *
+ * @param {Track} track
+ * @param {Object} conversion
+ * @param {Object} route
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype.sendTrack = function(track, conversion, route, fn) {
+  var settings = resolveSettings(track, this.settings);
+  var people = settings.people && !route.skipPeople;
+  var imported = route.import || shouldImport(track);
   var batch = new Batch;
   var self = this;
   var payload = {
     event: track.event(),
-    properties: formatProperties(track, this.settings)
+    properties: formatProperties(track, settings)
   };
 
-  extend(payload.properties, superProperties(track, this.settings));
-  var query = {
-    verbose: 1,
-    data: b64encode(payload),
-    api_key: this.settings.apiKey
-  };
+  extend(payload.properties, superProperties(track, settings));
+  if (conversion) {
+    extend(payload.properties, {
+      revenue: conversion.amount,
+      currency: conversion.currency,
+      original_revenue: conversion.originalAmount,
+      original_currency: conversion.originalCurrency
+    });
+  }
+
   // increment
-  if (this.settings.people) {
-    batch.push(function(fn){
+  if (people) {
+    batch.push(function(fn) {
       self.increment(track, fn);
     });
   }
 
-  batch.push(function(done){
-    self
-    .post(endpoint)
-    .set('Content-Length', 0)
-    .query(query)
-    .end(self._parseResponse(done));
+  batch.push(function(done) {
+    self.sendEvent(payload, track, imported, done);
   });
 
-  if (track.revenue()) {
-    batch.push(function(done){
-      self.revenue(track, done);
+  if (!route.skipPeople && revenueAmount(track)) {
+    batch.push(function(done) {
+      self.revenue(track, conversion, done);
+    });
+  }
+
+  // one event per purchased product
+  if (settings.trackProductEvents && isOrderCompleted(track)) {
+    productEvents(track, payload.properties, conversion, settings).forEach(function(product) {
+      batch.push(function(done) {
+        self.sendEvent(product, track, imported, done);
+      });
+    });
+  }
+
+  // stop pushing to uninstalled apps
+  var device = track.proxy('context.device') || {};
+  var list = pushTokenList(device, settings);
+  if (people && device.token && list && isUninstall(track)) {
+    batch.push(function(done) {
+      var devices = {};
+      devices[list] = device.token;
+      self.updatePeople(track, '$remove', devices, done);
+    });
+  }
+
+  // event properties to copy onto the profile
+  if (people) {
+    each(getPeopleProperties(track, payload.properties, settings), function(properties, type) {
+      batch.push(function(done) {
+        self.updatePeople(track, type, properties, done);
+      });
     });
   }
 
   batch.end(fn);
 };
 
+/**
+ * Convert the revenue of `track` to `.reportingCurrency`, using the
+ * `.currencyRates` table or the `.rateProvider(from, to, timestamp, fn)`
+ * function set on the integration.
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype.convertRevenue = function(track, fn) {
+  convert(revenueAmount(track), track.proxy('properties.currency'), {
+    to: this.settings.reportingCurrency,
+    rates: this.settings.currencyRates,
+    provider: this.rateProvider,
+    timestamp: track.timestamp()
+  }, fn);
+};
+
+/**
+ * Send the event `payload` of `track` to `/track`, or to `/import` when
+ * `imported`.
+ *
+ * @param {Object} payload
+ * @param {Facade} track
+ * @param {Boolean} imported
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype.sendEvent = function(payload, track, imported, fn) {
+  var settings = resolveSettings(track, this.settings);
+  var endpoint = imported ? '/import' : '/track';
+  var query = {
+    ip: 0,
+    verbose: 1,
+    data: b64encode(payload),
+    api_key: settings.apiKey
+  };
+
+  if (settings.batch) return this.enqueue(endpoint, payload, track, fn);
+  if (imported && strictImport(settings)) {
+    return this.importEvents([payload], settings, function(err, res) {
+      fn(errors.forMessage(err, track), res);
+    });
+  }
+
+  this
+    .post(this.url(endpoint))
+    .set('Content-Length', 0)
+    .query(query)
+    .end(this._parseResponse(fn, track));
+};
+
 /**
  * Track Page / Screen using `msg`.
  *
+ * The modes are checked in order, the first one that applies wins:
+ *
+ *   - `.consolidatedPageCalls` tracks every call as "Loaded a Page" or
+ *     "Loaded a Screen", ignoring the naming templates
+ *   - `.trackAllPages` tracks every call
+ *   - `.trackCategorizedPages` tracks calls with a category
+ *   - `.trackNamedPages` tracks calls with a name
+ *
+ * `.pageNameTemplate` and `.screenNameTemplate`, like
+ * `Viewed {{category}} {{name}} Page`, replace the event names of the last
+ * three modes. `.pageProperties` lists which of the page's `path`, `title`,
+ * `search` and `url` are sent as event properties, taken from the
+ * properties or `context.page`.
+ *
  * TODO:
  *
  *    In the new Integration proto abstract this away,
@@ -188,10 +427,12 @@ Mixpanel.prototype.track = function(track, fn){
 
 Mixpanel.prototype.screen =
 Mixpanel.prototype.page = function(msg, fn){
-  var consolidatedPageCalls = this.settings.consolidatedPageCalls;
-  var trackAllPages = this.settings.trackAllPages;
-  var trackCategorizedPages = this.settings.trackCategorizedPages;
-  var trackNamedPages = this.settings.trackNamedPages;
+  if (!is.empty(this.settings.projects)) return this.fanOut(msg.type(), msg, fn);
+  var settings = resolveSettings(msg, this.settings);
+  var consolidatedPageCalls = settings.consolidatedPageCalls;
+  var trackAllPages = settings.trackAllPages;
+  var trackCategorizedPages = settings.trackCategorizedPages;
+  var trackNamedPages = settings.trackNamedPages;
   var category = msg.category();
   var name = msg.name();
   var fullName = msg.fullName(); // includes both category and name
@@ -203,25 +444,37 @@ Mixpanel.prototype.page = function(msg, fn){
 
   // The old behavior
   // track all pages
-  if (trackAllPages) return send(msg.track(), fn);
+  if (trackAllPages) return send(named(msg.track()), fn);
 
   // track categorized pages
   if (trackCategorizedPages && category){
-    if (name) return send(msg.track(fullName), fn);
-    return send(msg.track(category), fn);
+    if (name) return send(named(msg.track(fullName)), fn);
+    return send(named(msg.track(category)), fn);
   }
 
   // track named pages
-  if (trackNamedPages && name) return send(msg.track(name), fn);
+  if (trackNamedPages && name) return send(named(msg.track(name)), fn);
 
   // nothing
   return tick(fn);
 
+  // rename `track` with the naming template of `msg`
+  function named(track) {
+    var template = msg.type() === 'screen'
+      ? settings.screenNameTemplate
+      : settings.pageNameTemplate;
+    if (!template) return track;
+    var json = track.json();
+    json.event = renderName(template, msg) || track.event();
+    return new Track(json, track.opts);
+  }
+
   // call via track method with `msg`.
-  function send(msg, done){
-    self.track(msg, function(err, arr){
+  function send(track, done) {
+    track = pageProperties(msg, track, settings);
+    self.track(track, function(err, arr) {
       if (err) return done(err);
-      done(null, arr[1]);
+      done(null, arr && arr[1]);
     });
   }
 };
@@ -229,7 +482,15 @@ Mixpanel.prototype.page = function(msg, fn){
 /**
  * Alias a user from one id to the other
  *
+ * The `.identityMerge` setting picks the identity strategy:
+ *
+ *   - `legacy` and `identify` (default legacy) send `$create_alias`
+ *   - `merge` merges two known ids with a `$merge` event
+ *   - `simplified` does nothing, Simplified ID Merge links ids through
+ *     the `$device_id` and `$user_id` of events
+ *
  * https://mixpanel.com/help/reference/http#distinct-id-alias
+ * https://developer.mixpanel.com/reference/identity-merge
  *
  * @param {Alias} alias
  * @param {Function} fn
@@ -237,25 +498,214 @@ Mixpanel.prototype.page = function(msg, fn){
  */
 
 Mixpanel.prototype.alias = function(alias, fn){
+  if (!is.empty(this.settings.projects)) return this.fanOut('alias', alias, fn);
+  var settings = resolveSettings(alias, this.settings);
+  var strategy = settings.identityMerge;
   var previousId = alias.previousId();
   var userId = alias.userId();
+
+  if (strategy === 'simplified') return tick(fn);
+  if (strategy === 'merge') {
+    return this.sendEvent({
+      event: '$merge',
+      properties: {
+        $distinct_ids: [previousId, userId],
+        $insert_id: insertId(alias, settings),
+        time: time(alias.timestamp()),
+        token: settings.token
+      }
+    }, alias, true, fn);
+  }
+
   var payload = {
     event: '$create_alias',
     properties: {
       distinct_id: previousId,
       alias: userId,
-      token: this.settings.token
+      token: settings.token
     }
   };
 
   this
-    .post('/track')
+    .post(this.url('/track'))
     .query({ ip: 0 })
     .query({ verbose: 1 })
     .query({ data: b64encode(payload) })
-    .query({ api_key: this.settings.apiKey })
+    .query({ api_key: settings.apiKey })
     .set('Content-Length', 0) // mixpanel rejects length-less requests
-    .end(this._parseResponse(fn));
+    .end(this._parseResponse(fn, alias));
+};
+
+/**
+ * Update the Mixpanel group profile and attach the group to the user.
+ *
+ * https://help.mixpanel.com/hc/en-us/articles/360025333632-Group-Analytics
+ *
+ * @param {Group} group
+ * @param {Function} fn
+ * @api public
+ */
+
+Mixpanel.prototype.group = function(group, fn) {
+  if (!is.empty(this.settings.projects)) return this.fanOut('group', group, fn);
+  var settings = resolveSettings(group, this.settings);
+  var groupKey = settings.groupKey;
+  var groupId = group.groupId();
+  var userId = group.userId();
+  var batch = new Batch;
+  var self = this;
+
+  if (!groupKey || !groupId) return tick(fn);
+  batch.throws(true);
+
+  // group profile
+  batch.push(function(done) {
+    var payload = {
+      $token: settings.token,
+      $group_key: groupKey,
+      $group_id: groupId,
+      $set: formatGroupTraits(group, settings)
+    };
+
+    self
+      .get(self.url('/groups'))
+      .query({ ip: 0 })
+      .query({ verbose: 1 })
+      .query({ data: b64encode(payload) })
+      .end(self._parseResponse(done, group));
+  });
+
+  // add the group to the user's profile so reports can be broken down by it
+  if (settings.people && userId) {
+    batch.push(function(done) {
+      var payload = {
+        $distinct_id: userId,
+        $token: settings.token,
+        $ip: profileIp(group, settings),
+        $ignore_time: true,
+        $union: {},
+        mp_lib: 'Segment: ' + group.library().name
+      };
+      payload.$union[groupKey] = [groupId];
+
+      self
+        .get(self.url('/engage'))
+        .query({ ip: 0 })
+        .query({ verbose: 1 })
+        .query({ data: b64encode(payload) })
+        .end(self._parseResponse(done, group));
+    });
+  }
+
+  batch.end(fn);
+};
+
+/**
+ * Delete the user of a Segment `delete` message.
+ *
+ * @param {Facade} msg
+ * @param {Function} fn
+ * @api public
+ */
+
+Mixpanel.prototype.delete = function(msg, fn) {
+  if (!is.empty(this.settings.projects)) return this.fanOut('delete', msg, fn);
+  this.deleteUser(msg.userId(), msg.options('Mixpanel') || {}, fn);
+};
+
+/**
+ * Delete the profile of `userId`, and when `.gdprApiToken` is set, request
+ * the deletion of their events too.
+ *
+ * `fn(err, result)` receives a record of what was deleted:
+ *
+ *    {
+ *      userId: 'user-id',
+ *      profileDeleted: true,
+ *      eventDeletion: { taskId: '...', complianceType: 'GDPR' },
+ *      requestedAt: '2017-05-17T00:00:00.000Z'
+ *    }
+ *
+ * https://mixpanel.com/help/reference/http#people-analytics-updates
+ * https://developer.mixpanel.com/docs/privacy-security
+ *
+ * @param {String} userId
+ * @param {Object} [options] `ignoreAlias`, `deleteEvents`
+ * @param {Function} fn
+ * @api public
+ */
+
+Mixpanel.prototype.deleteUser = function(userId, options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = {};
+  }
+
+  var settings = this.settings;
+  var complianceType = settings.complianceType || 'GDPR';
+  var deleteEvents = settings.gdprApiToken && options.deleteEvents !== false;
+  var batch = new Batch;
+  var self = this;
+
+  if (!userId) {
+    return tick(fn, new errors.MixpanelError(errors.VALIDATION, 'userId is required', 400));
+  }
+  if (!settings.token) {
+    return tick(fn, new errors.MixpanelError(errors.VALIDATION, '.token is required', 400));
+  }
+  if (!region(settings)) {
+    return tick(fn, new errors.MixpanelError(errors.VALIDATION, '.region is unknown', 400));
+  }
+
+  batch.throws(true);
+
+  // profile
+  batch.push(function(done) {
+    var payload = {
+      $distinct_id: userId,
+      $token: settings.token,
+      $delete: '',
+      $ignore_alias: !!options.ignoreAlias
+    };
+
+    self
+      .get(self.url('/engage'))
+      .query({ ip: 0 })
+      .query({ verbose: 1 })
+      .query({ data: b64encode(payload) })
+      .end(self._parseResponse(done));
+  });
+
+  // events
+  if (deleteEvents) {
+    batch.push(function(done) {
+      self
+        .post(self.url('/api/app/data-deletions/v3.0/', 'app'))
+        .query({ token: settings.token })
+        .set('Authorization', 'Bearer ' + settings.gdprApiToken)
+        .type('json')
+        .send({ distinct_ids: [userId], compliance_type: complianceType })
+        .end(self.handle(function(err, res) {
+          if (err) return done(errors.fromResponse(err, err.response || res));
+          if (res.body.status !== 'ok') return done(errors.fromResponse(null, res));
+          done(null, res);
+        }));
+    });
+  }
+
+  batch.end(function(err, results) {
+    if (err) return fn(err);
+    var task = deleteEvents ? results[1].body.results || {} : null;
+    fn(null, {
+      userId: userId,
+      profileDeleted: true,
+      eventDeletion: task && {
+        taskId: task.task_id,
+        complianceType: complianceType
+      },
+      requestedAt: new Date().toISOString()
+    });
+  });
 };
 
 /**
@@ -264,26 +714,30 @@ Mixpanel.prototype.alias = function(alias, fn){
  * https://mixpanel.com/help/reference/http#tracking-revenue
  *
  * @param {Track} track
+ * @param {Object} [conversion]
  * @param {Function} callback
  * @api private
  */
 
-Mixpanel.prototype.revenue = function(track, fn){
-  var ignoreIp = track.proxy('options.ignoreIp');
-  if (ignoreIp === undefined) ignoreIp = true;
-  var req = this.get('/engage');
-  if (ignoreIp) req.query({ ip: 0 });
-  req
+Mixpanel.prototype.revenue = function(track, conversion, fn) {
+  var settings = resolveSettings(track, this.settings);
+  var payload = formatRevenue(track, settings, conversion);
+  if (settings.batch) return this.enqueue('/engage', payload, track, fn);
+
+  this
+    .get(this.url('/engage'))
+    .query({ ip: 0 })
     .query({ verbose: 1 })
-    .query({ data: b64encode(formatRevenue(track, this.settings)) })
-    .end(this._parseResponse(fn));
+    .query({ data: b64encode(payload) })
+    .end(this._parseResponse(fn, track));
 };
 
 /**
  * Increment the given `track` with `settings` and `callback`.
  *
  * Unfortunately Mixpanel doesn't let you specify 2 operations,
- * so we request twice, once for `$add` and once for `$set`.
+ * so we request once for `$add`, once for `$set` and once
+ * for `$set_once` when a rule asks for it.
  *
  * @param {Track} track
  * @param {Function} fn
@@ -291,7 +745,8 @@ Mixpanel.prototype.revenue = function(track, fn){
  */
 
 Mixpanel.prototype.increment = function(track, fn){
-  var increments = getIncrements(track, this.settings);
+  var settings = resolveSettings(track, this.settings);
+  var increments = getIncrements(track, settings);
   var batch = new Batch;
   var self = this;
 
@@ -300,8 +755,9 @@ Mixpanel.prototype.increment = function(track, fn){
   if (!track.userId()) return tick(fn);
 
   // send
-  batch.push(send('$add'));
+  if (!is.empty(increments.$add)) batch.push(send('$add'));
   batch.push(send('$set'));
+  if (!is.empty(increments.$set_once)) batch.push(send('$set_once'));
   batch.end(fn);
 
   // send `type`
@@ -309,114 +765,619 @@ Mixpanel.prototype.increment = function(track, fn){
     return function(done){
       var payload = {};
       payload.$distinct_id = track.userId();
-      payload.$token = self.settings.token;
+      payload.$token = settings.token;
+      payload.$ip = profileIp(track, settings);
       payload.mp_lib = 'Segment.io';
       payload[type] = increments[type];
+      if (settings.batch) return self.enqueue('/engage', payload, track, done);
       var b64 = b64encode(payload);
 
       return self
-        .get('/engage')
+        .get(self.url('/engage'))
         .query({ ip: 0 })
         .query({ verbose: 1 })
         .query({ data: b64 })
-        .end(self._parseResponse(done));
+        .end(self._parseResponse(done, track));
     };
   }
 };
 
 /**
- * Common function for parsing the response from a mixpanel call.
+ * Send a `type` operation with `properties` for the user of `track`.
  *
+ * @param {Track} track
+ * @param {String} type
+ * @param {Object} properties
  * @param {Function} fn
  * @api private
  */
 
-Mixpanel.prototype._parseResponse = function(fn){
-  var self = this;
-  return this.handle(function(err, res){
-    if (err) return fn(err);
-    // Mixpanel doesn't send normal error objects with status codes so we have to manually parse their responses
-    // for proper error handling by integration-workers
-    if (!res.body.status) {
-      var message = res.body.error;
-      var newError = new Error(message);
-      newError.status = message.match(/api_key/) ? 401 : 400;
-      fn(newError);
-    } else {
-      fn(null, res);
-    }
-  });
+Mixpanel.prototype.updatePeople = function(track, type, properties, fn) {
+  var settings = resolveSettings(track, this.settings);
+  var payload = {
+    $distinct_id: distinctId(track, settings),
+    $token: settings.token,
+    $ip: profileIp(track, settings),
+    $ignore_time: !!settings.ignoreTime || !track.active(),
+    mp_lib: 'Segment: ' + track.library().name
+  };
+
+  payload[type] = properties;
+  if (settings.batch) return this.enqueue('/engage', payload, track, fn);
+
+  this
+    .get(this.url('/engage'))
+    .query({ ip: 0 })
+    .query({ verbose: 1 })
+    .query({ data: b64encode(payload) })
+    .end(this._parseResponse(fn, track));
 };
 
 /**
- * Add user super properties to the track.
+ * Buffer `record` for `endpoint` when `.batch` is enabled, records are
+ * sent per token in groups of up to 50, or every `.batchInterval` ms.
  *
- * @param {Track} track
- * @return {Object}
+ * https://mixpanel.com/help/reference/http#batch-requests
+ *
+ * @param {String} endpoint
+ * @param {Object} record
+ * @param {Facade} msg
+ * @param {Function} fn
  * @api private
  */
 
-function superProperties(track, settings){
-  var identify = track.identify();
-  var traits = formatTraits(identify) || {};
-  var properties = {};
+Mixpanel.prototype.enqueue = function(endpoint, record, msg, fn) {
+  var settings = resolveSettings(msg, this.settings);
+  var queues = this.queues = this.queues || {};
+  var projects = this.projects = this.projects || {};
+  var self = this;
 
-  if (!is.object(traits)) return properties;
+  if (!queues[endpoint]) {
+    queues[endpoint] = new Queue({
+      size: Math.min(this.settings.batchSize || 50, 50),
+      interval: this.settings.batchInterval || 1000
+    }, function(token, records, done) {
+      self.sendBatch(endpoint, records, projects[token], done);
+    });
+  }
 
-  Object.keys(traits).forEach(function(trait){
-    var val = traits[trait];
-    // an early version of the integrations prefixed traits incorrectly
-    // the setting preserves backwards compat.
-    if (settings.legacySuperProperties && trait.charAt(0) !== '$') {
-      trait = '$' + trait;
-    }
-    properties[trait] = val;
+  projects[settings.token] = settings;
+  queues[endpoint].push(settings.token, record, function(err, res) {
+    fn(errors.forMessage(err, msg), res);
   });
-
-  return properties;
-}
+};
 
 /**
- * A map of Segment traits to special Mixpanel user properties.
+ * Send a batch of `records` to `endpoint` with the credentials of the
+ * project's `settings`.
  *
- * https://mixpanel.com/help/reference/http#people-special-properties
+ * @param {String} endpoint
+ * @param {Array} records
+ * @param {Object} settings
+ * @param {Function} fn
+ * @api private
  */
 
-var traitAliases = {
-  created: '$created',
-  createdAt: '$created',
-  email: '$email',
-  firstName: '$first_name',
-  lastName: '$last_name',
-  lastSeen: '$last_seen', // This should be removed since docs say not to set this manually or can't be set
-  name: '$name',
-  username: '$username',
-  phone: '$phone',
+Mixpanel.prototype.sendBatch = function(endpoint, records, settings, fn) {
+  if (endpoint === '/import' && strictImport(settings)) {
+    return this.importEvents(records, settings, fn);
+  }
+
+  var query = { ip: 0, verbose: 1 };
+  if (endpoint !== '/engage') query.api_key = settings.apiKey;
+
+  this
+    .post(this.url(endpoint))
+    .type('form')
+    .query(query)
+    .send({ data: b64encode(records) })
+    .end(this._parseResponse(fn));
+};
+
+/**
+ * Send `events` to the `/import` API in strict mode, authenticated with
+ * `.projectSecret` or the `.serviceAccountUsername` service account.
+ *
+ * Records that fail validation are reported on `err.records`
+ * as `{ index, insertId, field, message }`.
+ *
+ * https://developer.mixpanel.com/reference/import-events
+ *
+ * @param {Array} events
+ * @param {Object} settings
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype.importEvents = function(events, settings, fn) {
+  var req = this.post(this.url('/import')).query({ strict: 1, ip: 0 });
+
+  if (settings.serviceAccountUsername) {
+    req
+      .auth(settings.serviceAccountUsername, settings.serviceAccountSecret)
+      .query({ project_id: settings.projectId });
+  } else {
+    req.auth(settings.projectSecret, '');
+  }
+
+  req
+    .type('json')
+    .send(events)
+    .end(this._parseImportResponse(fn));
+};
+
+/**
+ * Send all buffered records.
+ *
+ * @param {Function} fn
+ * @api public
+ */
+
+Mixpanel.prototype.flush = function(fn) {
+  var queues = this.queues || {};
+  var batch = new Batch;
+
+  each(queues, function(queue) {
+    batch.push(function(done) {
+      queue.flushAll(done);
+    });
+  });
+
+  each(this.targets || {}, function(target) {
+    batch.push(function(done) {
+      target.flush(done);
+    });
+  });
+
+  batch.end(function(err) {
+    fn(err);
+  });
+};
+
+/**
+ * Send `msg` with the `type` handler to the main project and to every
+ * project in `.projects` whose `filters` it passes, see `lib/rules.js`:
+ *
+ *    [{
+ *      token: 'sandbox-token',
+ *      apiKey: 'sandbox-api-key',
+ *      region: 'eu',
+ *      filters: { events: ['Order *'] }
+ *    }]
+ *
+ * The other projects only get `msg` once the main project took it, so a
+ * failed message can be retried without sending it twice to any project.
+ * Their errors don't fail the message, they are emitted as
+ * `project error` and reported in the `{ token, error, result }` of each
+ * project `fn(err, results)` receives.
+ *
+ * @param {String} type
+ * @param {Facade} msg
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype.fanOut = function(type, msg, fn) {
+  var main = this.target({}, 0);
+  var self = this;
+
+  main[type](msg, function(err, res) {
+    var results = [result(main, err, res)];
+    if (err) return fn(err, results);
+
+    var batch = new Batch;
+    self.settings.projects.forEach(function(target, i) {
+      if (!rules.matches(msg, target.filters)) return;
+      var project = self.target(target, i + 1);
+      batch.push(function(done) {
+        project[type](msg, function(err, res) {
+          if (err) {
+            self.debug('could not send to project %s: %s', project.settings.token, err.message);
+            self.emit('project error', err, project.settings.token);
+          }
+          done(null, result(project, err, res));
+        });
+      });
+    });
+
+    batch.end(function(err, rest) {
+      if (err) return fn(err);
+      fn(null, results.concat(rest));
+    });
+  });
+
+  function result(project, err, res) {
+    return {
+      token: project.settings.token,
+      error: err || null,
+      result: res
+    };
+  }
+};
+
+/**
+ * Settings that identify and authenticate a project.
+ */
+
+var credentials = [
+  'token',
+  'apiKey',
+  'secret',
+  'projectSecret',
+  'projectId',
+  'serviceAccountUsername',
+  'serviceAccountSecret',
+  'gdprApiToken'
+];
+
+/**
+ * Settings of the main project the other projects don't inherit, its
+ * `credentials` and where it is hosted.
+ */
+
+var ownSettings = credentials.concat(['region', 'apiHost']);
+
+/**
+ * Get the integration that sends to the project `target`, with the
+ * settings of `target` over the main ones. Targets other than the main
+ * project don't inherit its `ownSettings` and ignore the credential
+ * overrides of `integrations.Mixpanel`. Integrations are kept by the
+ * `index` of their target so their batches carry over between messages.
+ *
+ * @param {Object} target
+ * @param {Number} index
+ * @return {Mixpanel}
+ * @api private
+ */
+
+Mixpanel.prototype.target = function(target, index) {
+  var targets = this.targets = this.targets || {};
+  var settings = extend({}, this.settings);
+  if (index) {
+    ownSettings.forEach(function(key) { delete settings[key]; });
+    settings.credentialOverrides = false;
+  }
+  extend(settings, target, { projects: null, filters: null });
+  var project = targets[index] = targets[index] || new Mixpanel(settings);
+
+  project.settings = settings;
+  project.rateProvider = this.rateProvider;
+  return project;
+};
+
+/**
+ * Get the url of `path` on the ingestion host, or on the `app` host, of
+ * the project's `.region`. `.apiHost` replaces the ingestion host, for
+ * proxies.
+ *
+ * https://docs.mixpanel.com/docs/privacy/eu-residency
+ * https://docs.mixpanel.com/docs/privacy/in-residency
+ *
+ * @param {String} path
+ * @param {String} [host]
+ * @return {String}
+ * @api private
+ */
+
+Mixpanel.prototype.url = function(path, host) {
+  host = host || 'api';
+  var base = region(this.settings)[host];
+  if (host === 'api' && this.settings.apiHost) base = this.settings.apiHost;
+  if (!(/^https?:\/\//).test(base)) base = 'https://' + base;
+  return base.replace(/\/+$/, '') + path;
+};
+
+/**
+ * Common function for parsing the response from a mixpanel call.
+ *
+ * Errors are `MixpanelError`s with a stable `.code`, `.retryable` and the
+ * `.messageId` of `msg`, see `lib/errors.js`.
+ *
+ * @param {Function} fn
+ * @param {Facade} [msg]
+ * @api private
+ */
+
+Mixpanel.prototype._parseResponse = function(fn, msg) {
+  return this.handle(function(err, res){
+    if (err) {
+      err = errors.fromResponse(err, err.response || res);
+      return fn(errors.forMessage(err, msg));
+    }
+    // Mixpanel doesn't send normal error objects with status codes so we have to manually parse their responses
+    // for proper error handling by integration-workers
+    if (!res.body || !res.body.status) {
+      fn(errors.forMessage(errors.fromBody(res.body), msg));
+    } else {
+      fn(null, res);
+    }
+  });
+};
+
+/**
+ * Parse the response from the strict `/import` API, which responds with
+ * regular status codes and a list of `failed_records`.
+ *
+ * @param {Function} fn
+ * @api private
+ */
+
+Mixpanel.prototype._parseImportResponse = function(fn) {
+  return function(err, res) {
+    res = res || err && err.response;
+    var body = res && res.body || {};
+    var error;
+
+    if (body.failed_records) {
+      var records = body.failed_records.map(function(record) {
+        return {
+          index: record.index,
+          insertId: record.$insert_id || record.insert_id,
+          field: record.field,
+          message: record.message
+        };
+      });
+      error = errors.fromResponse(err, res);
+      error.records = records;
+      return fn(error, res);
+    }
+
+    if (err || !res.ok) return fn(errors.fromResponse(err, res));
+    fn(null, res);
+  };
+};
+
+/**
+ * Settings that `integrations.Mixpanel` may override for one message.
+ */
+
+var overridable = [
+  'people',
+  'increments',
+  'consolidatedPageCalls',
+  'token',
+  'apiKey',
+  'projectId',
+  'projectSecret',
+  'legacySuperProperties',
+  'ipPolicy'
+];
+
+/**
+ * Resolve the `settings` for `msg`, applying its `integrations.Mixpanel`
+ * overrides:
+ *
+ *    {
+ *      people: false,
+ *      token: 'other-project-token',
+ *      ignoreIp: true,
+ *      ignoreTime: true,
+ *      insertId: 'order-1234'
+ *    }
+ *
+ * `ignoreIp`, `ignoreTime` and `insertId` only apply to the message,
+ * `ignoreIp` switches the `.ipPolicy` to `drop`. The older
+ * `context.Mixpanel.ignoreIp`, `context.Mixpanel.ignoreTime`,
+ * `context.ignoreIp` and `options.ignoreIp` are still honored.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function resolveSettings(msg, settings) {
+  var options = msg.options('Mixpanel') || {};
+  var ret = extend({}, settings);
+
+  overridable.forEach(function(key) {
+    if (options[key] === undefined) return;
+    if (settings.credentialOverrides === false && credentials.indexOf(key) !== -1) return;
+    ret[key] = options[key];
+  });
+
+  ret.ignoreIp = first([
+    options.ignoreIp,
+    msg.proxy('context.Mixpanel.ignoreIp'),
+    msg.proxy('context.ignoreIp'),
+    msg.proxy('options.ignoreIp')
+  ]);
+  ret.ignoreTime = first([
+    options.ignoreTime,
+    msg.proxy('context.Mixpanel.ignoreTime')
+  ]);
+  ret.insertId = options.insertId;
+  ret.ipPolicy = ret.ignoreIp ? 'drop' : ret.ipPolicy || 'message';
+  return ret;
+}
+
+/**
+ * Get the IP or location event properties of `msg` for the `.ipPolicy`.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function eventLocation(msg, settings) {
+  if (settings.ipPolicy === 'drop') return {};
+  if (settings.ipPolicy !== 'location') return { ip: msg.ip() };
+
+  var location = msg.proxy('context.location') || {};
+  return {
+    $city: location.city,
+    $region: location.region,
+    mp_country_code: location.countryCode || location.country
+  };
+}
+
+/**
+ * Get the profile location special properties of `msg`, for the
+ * `location` `.ipPolicy`.
+ *
+ * @param {Facade} msg
+ * @return {Object}
+ * @api private
+ */
+
+function profileLocation(msg) {
+  var location = msg.proxy('context.location') || {};
+  return reject({
+    $city: location.city,
+    $region: location.region,
+    $country_code: location.countryCode || location.country
+  });
+}
+
+/**
+ * Get the `$ip` of profile updates for `msg`, `0` turns geolocation off
+ * when the `.ipPolicy` is not `message`.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {String|Number}
+ * @api private
+ */
+
+function profileIp(msg, settings) {
+  return settings.ipPolicy === 'message' ? msg.ip() : 0;
+}
+
+/**
+ * Get the distinct id of `msg`.
+ *
+ * Under Simplified ID Merge, anonymous users are identified by their
+ * device as `$device:<anonymousId>`.
+ *
+ * https://docs.mixpanel.com/docs/tracking-methods/id-management/identifying-users-simplified
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function distinctId(msg, settings) {
+  if (settings.identityMerge !== 'simplified') return msg.userId() || msg.sessionId();
+  if (msg.userId()) return msg.userId();
+  if (msg.anonymousId()) return '$device:' + msg.anonymousId();
+}
+
+/**
+ * Ids that are never redacted, even when they look like an email.
+ */
+
+var identityKeys = [
+  'id',
+  'distinct_id',
+  '$distinct_id',
+  '$user_id',
+  '$device_id',
+  '$insert_id',
+  'mp_name_tag'
+];
+
+/**
+ * Traits holding the user's email, which profiles keep when redacting.
+ */
+
+var emailTraits = ['email', '$email'];
+
+/**
+ * Add user super properties to the track.
+ *
+ * Unlike profiles, events don't keep the user's email with `.redactPii`.
+ *
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function superProperties(track, settings){
+  var identify = track.identify();
+  var traits = formatTraits(identify, settings, identityKeys) || {};
+  var properties = {};
+
+  if (!is.object(traits)) return properties;
+
+  Object.keys(traits).forEach(function(trait){
+    var val = traits[trait];
+    // an early version of the integrations prefixed traits incorrectly
+    // the setting preserves backwards compat.
+    if (settings.legacySuperProperties && trait.charAt(0) !== '$') {
+      trait = '$' + trait;
+    }
+    properties[trait] = val;
+  });
+
+  return properties;
+}
+
+/**
+ * A map of Segment traits to special Mixpanel user properties.
+ *
+ * https://mixpanel.com/help/reference/http#people-special-properties
+ */
+
+var traitAliases = {
+  created: '$created',
+  createdAt: '$created',
+  email: '$email',
+  firstName: '$first_name',
+  lastName: '$last_name',
+  lastSeen: '$last_seen', // This should be removed since docs say not to set this manually or can't be set
+  name: '$name',
+  username: '$username',
+  phone: '$phone',
   // Token is reserved by Mixpanel, so remap it.
   token: 'trait_token'
 };
 
+/**
+ * Get the hosts of the `.region` in `settings`, US by default.
+ *
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function region(settings) {
+  var name = String(settings.region || 'us').toLowerCase();
+  return regions.hasOwnProperty(name) ? regions[name] : null;
+}
+
 /**
  * Format the traits from the identify
  *
+ * With `.redactPii`, the traits are redacted except for the `keep` keys,
+ * the ids and email by default.
+ *
  * @param {Identify} identify
+ * @param {Object} settings
+ * @param {Array} [keep]
  * @return {Object}
  * @api private
  */
 
-function formatTraits(identify){
-  // Get traits, renaming any special Mixpanel properties from their Segment names
-  var traits = identify.traits(traitAliases) || {};
-  var userAgent = identify.userAgent();
+function formatTraits(identify, settings, keep) {
+  var mappings = settings.traitMappings || {};
+  var aliases = {};
 
-  // Delete any Segment trait names; they've now been renamed to Mixpanel names
-  each(traitAliases, function(_, key) {
-    object.del(traits, key, { normalizer: function(path) {
-      return path.replace(/[^A-Za-z0-9\.$]+/g, '').toLowerCase();
-    }});
+  // Workspace mappings take precedence over the special Mixpanel properties
+  each(traitAliases, function(name, key) {
+    if (!mappings.hasOwnProperty(key)) aliases[key] = name;
   });
 
-  if (userAgent) extend(traits, formatUserAgent(userAgent));
+  // Get traits, renaming any special Mixpanel properties from their Segment names
+  var traits = aliasTraits(identify, aliases);
+  applyMappings(traits, mappings);
+  scrub.filter(traits, settings.traitAllowList, settings.traitDenyList);
+  if (settings.redactPii) scrub.redact(traits, keep || identityKeys.concat(emailTraits));
+
+  // profiles only get the browser, the device is per event
+  extend(traits, formatBrowser(identify, settings));
 
   // Format timestamp
   // https://mixpanel.com/help/reference/http#people-special-properties, `$created` section
@@ -427,242 +1388,1042 @@ function formatTraits(identify){
   // Map semantic mobile context properties
   extend(traits, formatMobileSpecific(identify));
 
-  stringifyValues(traits);
-  return traits;
+  formatValues(traits, settings);
+  return traits;
+}
+
+/**
+ * A map of Segment group traits to special Mixpanel group properties.
+ */
+
+var groupTraitAliases = {
+  created: '$created',
+  createdAt: '$created',
+  email: '$email',
+  name: '$name',
+  phone: '$phone',
+  token: 'trait_token'
+};
+
+/**
+ * Format the traits from the group
+ *
+ * @param {Group} group
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function formatGroupTraits(group, settings) {
+  var traits = aliasTraits(group, groupTraitAliases);
+
+  if (traits.$created) {
+    traits.$created = formatDate(traits.$created);
+  }
+
+  formatValues(traits, settings);
+  return traits;
+}
+
+/**
+ * Get the traits of `msg`, renaming Segment trait names to their `aliases`.
+ *
+ * @param {Identify|Group} msg
+ * @param {Object} aliases
+ * @return {Object}
+ * @api private
+ */
+
+function aliasTraits(msg, aliases) {
+  var traits = msg.traits(aliases) || {};
+
+  // Delete any Segment trait names; they've now been renamed to Mixpanel names
+  each(aliases, function(_, key) {
+    object.del(traits, key, {
+      normalizer: function(path) {
+        return path.replace(/[^A-Za-z0-9\.$]+/g, '').toLowerCase();
+      }
+    });
+  });
+
+  return traits;
+}
+
+/**
+ * Apply a workspace's `mappings` of Segment keys to Mixpanel names to `obj`.
+ *
+ * Keys may be dot-paths into nested objects, mapping a key to a falsy
+ * name drops it:
+ *
+ *    { 'address.city': '$city', 'internalId': null }
+ *
+ * @param {Object} obj
+ * @param {Object} mappings
+ * @return {Object}
+ * @api private
+ */
+
+function applyMappings(obj, mappings) {
+  each(mappings || {}, function(name, key) {
+    var val = object.find(obj, key);
+    if (val === undefined) return;
+    object.del(obj, key);
+    if (name) obj[name] = val;
+  });
+
+  return obj;
+}
+
+/**
+ * Remove the property named like `key` from `properties`, in any case or
+ * separator style, and return its value. Names the `mappings` gave to
+ * other properties are left alone.
+ *
+ * @param {Object} properties
+ * @param {String} key
+ * @param {Object} mappings
+ * @return {Mixed}
+ * @api private
+ */
+
+function takeProperty(properties, key, mappings) {
+  var mapped = [];
+  var ret;
+
+  each(mappings, function(name) {
+    if (name !== key) mapped.push(name);
+  });
+
+  Object.keys(properties).forEach(function(name) {
+    if (normalize(name) !== normalize(key)) return;
+    if (mapped.indexOf(name) !== -1) return;
+    if (ret === undefined) ret = properties[name];
+    delete properties[name];
+  });
+
+  return ret;
+}
+
+/**
+ * Normalize the property `name` for lookups, like `obj-case` does.
+ *
+ * @param {String} name
+ * @return {String}
+ * @api private
+ */
+
+function normalize(name) {
+  return name.replace(/[^A-Za-z0-9]+/g, '').toLowerCase();
+}
+
+/**
+ * Format the mixpanel specific properties.
+ *
+ * https://github.com/mixpanel/mixpanel-android/blob/34eb2205882cae137597dfb16f9c13545de32ca5/src/main/java/com/mixpanel/android/mpmetrics/AnalyticsMessages.java#L403
+ *
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+function formatProperties(track, settings){
+  var mappings = settings.propertyMappings || {};
+  var properties = applyMappings(track.properties() || {}, mappings);
+  var username = takeProperty(properties, 'username', mappings);
+  var searchEngine = takeProperty(properties, 'searchEngine', mappings);
+  var referrer = takeProperty(properties, 'referrer', mappings);
+  var identify = track.identify();
+  var campaign = track.proxy('context.campaign') || undefined;
+  var simplified = settings.identityMerge === 'simplified';
+  var app = track.proxy('context.app') || {};
+  var semanticProps = {
+    $app_release: app.build,
+    $app_version: app.version,
+    $current_url: track.proxy('context.page.url'),
+    $device: track.proxy('context.device.name'),
+    $device_id: simplified ? track.anonymousId() : undefined,
+    $insert_id: insertId(track, settings),
+    distinct_id: distinctId(track, settings),
+    mp_lib: 'Segment: ' + track.library().name,
+    $referrer: track.proxy('context.referrer.url')
+      || track.proxy('context.page.referrer')
+      || referrer,
+    $search_engine: searchEngine,
+    time: time(track.timestamp()),
+    token: settings.token,
+    $user_id: simplified ? track.userId() : undefined,
+    $username: username
+  };
+
+  extend(semanticProps, eventLocation(track, settings));
+  scrub.filter(properties, settings.propertyAllowList, settings.propertyDenyList);
+  if (settings.redactPii) scrub.redact(properties, identityKeys);
+  extend(properties, semanticProps);
+
+  // Attach the user's groups
+  extend(properties, groupProperties(track, properties, settings));
+
+  // Add the name tag, which doesn't name the user with `.redactPii`
+  properties.mp_name_tag = !settings.redactPii && (identify.name() || identify.email())
+    || identify.userId()
+    || identify.sessionId();
+
+  extend(properties, formatUserAgent(track, settings));
+
+  // Map mobile specific special props
+  extend(properties, formatMobileSpecific(track));
+
+  // Map UTM params
+  if (campaign) {
+    properties.utm_source = campaign.source;
+    properties.utm_medium = campaign.medium;
+    properties.utm_term = campaign.term;
+    properties.utm_content = campaign.content;
+    properties.utm_campaign = campaign.name;
+  }
+
+  // Strip null/undefined values
+  properties = reject(properties);
+  formatValues(properties, settings);
+
+  return properties;
+}
+
+/**
+ * Get the group key properties for `track`, merged with any group ids
+ * already present in `properties`.
+ *
+ * Group ids come from `context.groupId` (under `settings.groupKey`),
+ * `integrations.Mixpanel.groups` and `settings.groupKeyMappings`, which maps
+ * a group key to a path in the message.
+ *
+ * @param {Track} track
+ * @param {Object} properties
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function groupProperties(track, properties, settings) {
+  var options = track.options('Mixpanel') || {};
+  var groups = {};
+  var ret = {};
+
+  if (settings.groupKey) add(settings.groupKey, track.proxy('context.groupId'));
+  each(settings.groupKeyMappings || {}, function(path, key) {
+    add(key, track.proxy(path));
+  });
+  each(options.groups || {}, function(ids, key) {
+    add(key, ids);
+  });
+
+  each(groups, function(ids, key) {
+    ret[key] = unique(toArray(properties[key]).concat(ids));
+  });
+
+  return ret;
+
+  function add(key, ids) {
+    ids = toArray(ids);
+    if (!ids.length) return;
+    groups[key] = (groups[key] || []).concat(ids);
+  }
+}
+
+/**
+ * Names Mixpanel's libraries use for operating systems and browsers.
+ */
+
+var platformNames = {
+  'Mac OS': 'Mac OS X',
+  macOS: 'Mac OS X',
+  'Chromium OS': 'Chrome OS',
+  'Google Chrome': 'Chrome'
+};
+
+/**
+ * Format the browser of `msg` from its client hints
+ * (`context.userAgentData`) or user agent. Client hints take precedence
+ * over the user agent, which browsers now reduce.
+ *
+ * https://mixpanel.com/help/questions/articles/what-properties-do-mixpanels-libraries-store-by-default
+ * https://wicg.github.io/ua-client-hints/
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function formatBrowser(msg, settings) {
+  var hints = msg.proxy('context.userAgentData') || {};
+  var userAgent = msg.userAgent();
+
+  if (!userAgent && is.empty(hints)) return {};
+
+  var browser = hintedBrowser(hints) || parse(userAgent || '').browser;
+  if (!browser.name) return {};
+
+  return reject({
+    $browser: platformNames[browser.name] || browser.name,
+    $browser_version: settings.enrichUserAgent
+      ? majorMinor(browser.version)
+      : browser.version
+  });
+}
+
+/**
+ * Format the browser of `msg` and, with `.enrichUserAgent`, the operating
+ * system and device the Mixpanel JS library would send with events.
+ *
+ * The operating system and device are only derived when `context.os` and
+ * `context.device` are missing, and the browser version is cut to its
+ * major and minor parts.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function formatUserAgent(msg, settings) {
+  var hints = msg.proxy('context.userAgentData') || {};
+  var userAgent = msg.userAgent();
+  var ret = formatBrowser(msg, settings);
+
+  if (!settings.enrichUserAgent) return ret;
+  if (!userAgent && is.empty(hints)) return ret;
+
+  var parsed = parse(userAgent || '');
+  var os = parsed.os;
+  var device = parsed.device;
+
+  if (!msg.proxy('context.os')) {
+    ret.$os = platformNames[hints.platform || os.name] || hints.platform || os.name;
+    ret.$os_version = hints.platformVersion || os.version;
+  }
+
+  if (!msg.proxy('context.device')) {
+    ret.$device = hints.model || device.model;
+    ret.$device_type = hints.mobile ? 'mobile' : device.type || 'desktop';
+  }
+
+  return reject(ret);
+}
+
+/**
+ * Get the browser from the client `hints`, skipping the GREASE and
+ * Chromium brands when a more specific one is listed.
+ *
+ * @param {Object} hints
+ * @return {Object}
+ * @api private
+ */
+
+function hintedBrowser(hints) {
+  var brands = hints.fullVersionList || hints.brands || [];
+  var names = brands.filter(function(brand) {
+    return !(/not.?a.?brand/i).test(brand.brand);
+  });
+  var brand = names.filter(function(brand) {
+    return brand.brand !== 'Chromium';
+  })[0] || names[0];
+
+  if (!brand) return;
+  return { name: brand.brand, version: brand.version };
+}
+
+/**
+ * Cut `version` to its major and minor parts.
+ *
+ * @param {String} version
+ * @return {String}
+ * @api private
+ */
+
+function majorMinor(version) {
+  var match = (/^\d+(\.\d+)?/).exec(version || '');
+  return match ? match[0] : version;
+}
+
+/**
+ * Page context that can be sent as page and screen event properties.
+ */
+
+var pageContext = ['path', 'search', 'title', 'url'];
+
+/**
+ * Render the page or screen event name `template`, replacing `{{key}}`
+ * with the `name`, `category`, `fullName` or a property of `msg`.
+ *
+ * @param {String} template
+ * @param {Page|Screen} msg
+ * @return {String}
+ * @api private
+ */
+
+function renderName(template, msg) {
+  var values = extend({ fullName: msg.fullName() }, msg.properties());
+
+  return template
+    .replace(/\{\{\s*([\w$.]+)\s*\}\}/g, function(match, key) {
+      var value = object.find(values, key);
+      return value == null ? '' : String(value);
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Keep only the page context listed in `.pageProperties` on the page or
+ * screen `track`, filling it in from `context.page`.
+ *
+ * @param {Page|Screen} msg
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Track}
+ * @api private
+ */
+
+function pageProperties(msg, track, settings) {
+  var include = settings.pageProperties;
+  if (!include) return track;
+
+  var page = msg.proxy('context.page') || {};
+  var json = track.json();
+  var properties = json.properties = json.properties || {};
+
+  pageContext.forEach(function(key) {
+    var value = properties[key] != null ? properties[key] : page[key];
+    delete properties[key];
+    if (include.indexOf(key) !== -1 && value != null) properties[key] = value;
+  });
+
+  return new Track(json, track.opts);
+}
+
+/**
+ * Format mobile specific properties
+ * https://mixpanel.com/help/questions/articles/what-properties-do-mixpanels-libraries-store-by-default
+ *
+ * @param {msg} msg
+ * @return {Object}
+ * @api private
+ */
+
+function formatMobileSpecific(track) {
+  var device = track.proxy('context.device') || {};
+  var app = track.proxy('context.app') || {};
+  var os = track.proxy('context.os') || {};
+  var network = track.proxy('context.network') || {};
+  var screen = track.proxy('context.screen') || {};
+  var ret = {};
+
+  ret.$carrier = network.carrier;
+  ret.$manufacturer = device.manufacturer;
+  ret.$model = device.model;
+  ret.$os = os.name;
+  ret.$os_version = os.version;
+  ret.$screen_height = screen.height;
+  ret.$screen_width = screen.width;
+  ret.$wifi = network.wifi
+  // ret.$brand = device.model; what should this be
+
+
+  switch (device.type) {
+    case 'iOS':
+      ret.$ios_ifa = device.advertisingId;
+      ret.$ios_device_model = device.model;
+      ret.$ios_app_release = app.build;
+      ret.$ios_app_version = app.version;
+      ret.$ios_version = os.version;
+      break;
+    case 'android':
+      ret.$screen_dpi = screen.density;
+      ret.$bluetooth_enabled = network.bluetooth;
+      ret.$has_telephone = network.cellular;
+      ret.$android_version_code = app.version;
+      ret.$android_app_version = app.version;
+      ret.$android_os = os.name;
+      ret.$android_os_version = os.version;
+      ret.$android_model = device.model;
+      ret.$android_manufacturer = device.manufacturer;
+      // ret.$android_brand = device.manufacturer; ?? what should this be
+      break;
+  }
+  return ret;
+}
+
+/**
+ * Create a revenue track call
+ *
+ * Transactions include the order id, coupon, currency and products of
+ * e-commerce events, refunds are recorded as negative transactions.
+ *
+ * https://mixpanel.com/help/reference/http#tracking-revenue
+ * https://segment.com/docs/spec/ecommerce/v2/
+ *
+ * @param {Track} track
+ * @param {Object} settings
+ * @param {Object} [conversion]
+ * @return {Object}
+ * @api private
+ */
+
+function formatRevenue(track, settings, conversion) {
+  var ret = {
+    $distinct_id: distinctId(track, settings),
+    $token: settings.token,
+    $ip: profileIp(track, settings),
+    $append: {
+      $transactions: reject({
+        $time: formatDate(track.timestamp()),
+        $amount: revenueAmount(track),
+        order_id: track.orderId(),
+        coupon: track.coupon(),
+        currency: track.proxy('properties.currency'),
+        products: track.products().length ? track.products() : undefined
+      })
+    }
+  };
+  if (conversion) {
+    extend(ret.$append.$transactions, {
+      $amount: conversion.amount,
+      currency: conversion.currency,
+      original_amount: conversion.originalAmount,
+      original_currency: conversion.originalCurrency
+    });
+  }
+  // don't flag as last seen by default
+  var ignoreTime = !!settings.ignoreTime || !track.active();
+  if (ignoreTime) ret.$ignore_time = ignoreTime;
+  return ret;
+}
+
+/**
+ * Get the profile update adding the push token of `device` to its list,
+ * or removing it with `options.removePushToken`.
+ *
+ * @param {Object} device
+ * @param {Object} options
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function pushTokenUpdate(device, options, settings) {
+  var list = pushTokenList(device, settings);
+  var devices = {};
+  if (!device.token || !list) return;
+  if (options.removePushToken) {
+    devices[list] = device.token;
+    return { $remove: devices };
+  }
+  devices[list] = [device.token];
+  return { $union: devices };
+}
+
+/**
+ * Get the profile list holding the push tokens of `device`, iOS for
+ * devices without a type and the `.webPushProperty` for web push
+ * subscriptions. Tokens of other devices have no list and aren't sent.
+ *
+ * @param {Object} device
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function pushTokenList(device, settings) {
+  switch (String(device.type || 'ios').toLowerCase()) {
+  case 'ios':
+    return '$ios_devices';
+  case 'android':
+    return '$android_devices';
+  case 'web':
+  case 'browser':
+    return settings.webPushProperty || null;
+  default:
+    return null;
+  }
+}
+
+/**
+ * Whether `track` is an `Application Uninstalled` event.
+ *
+ * @param {Track} track
+ * @return {Boolean}
+ * @api private
+ */
+
+function isUninstall(track) {
+  return (/^application[ _]?uninstalled$/i).test(track.event());
+}
+
+/**
+ * Whether `track` is an `Order Completed` event.
+ *
+ * @param {Track} track
+ * @return {Boolean}
+ * @api private
+ */
+
+function isOrderCompleted(track) {
+  return (/^(order[ _]?completed|completed[ _]?order)$/i).test(track.event());
+}
+
+/**
+ * Whether `track` is an `Order Refunded` event.
+ *
+ * @param {Track} track
+ * @return {Boolean}
+ * @api private
+ */
+
+function isRefund(track) {
+  return (/^(order[ _]?refunded|refunded[ _]?order)$/i).test(track.event());
+}
+
+/**
+ * Get the revenue of `track`, orders fall back to their total and refunds
+ * are negative.
+ *
+ * @param {Track} track
+ * @return {Number}
+ * @api private
+ */
+
+function revenueAmount(track) {
+  var revenue = track.revenue();
+  var total = Number(track.proxy('properties.total')) || undefined;
+
+  if (isRefund(track)) {
+    revenue = revenue || total || track.products().reduce(function(sum, product) {
+      return sum + (product.price || 0) * (product.quantity || 1);
+    }, 0);
+    return -Math.abs(revenue);
+  }
+
+  if (!revenue && isOrderCompleted(track)) return total;
+  return revenue;
+}
+
+/**
+ * Order properties that product events leave out.
+ */
+
+var orderAmounts = [
+  'revenue',
+  'total',
+  'products',
+  'original_revenue',
+  'original_currency'
+];
+
+/**
+ * Create a `Product Purchased` event for each product of the order `track`,
+ * based on the order's event `properties` without the order's amounts.
+ *
+ * Each event's `revenue` is the product's price times its quantity, in the
+ * currency of the order's revenue `conversion` if any.
+ *
+ * @param {Track} track
+ * @param {Object} properties
+ * @param {Object} [conversion]
+ * @param {Object} settings
+ * @return {Array}
+ * @api private
+ */
+
+function productEvents(track, properties, conversion, settings) {
+  var rate = conversion ? conversion.rate : 1;
+  var currency = conversion ? conversion.currency : track.proxy('properties.currency');
+  var order = extend({}, properties);
+
+  orderAmounts.forEach(function(key) {
+    delete order[key];
+  });
+
+  return track.products().map(function(product, i) {
+    var price = product.price == null ? undefined : Number(product.price) * rate;
+    var quantity = product.quantity == null ? 1 : Number(product.quantity);
+    var props = extend({}, product);
+
+    if (price !== undefined) props.price = round(price);
+    scrub.filter(props, settings.propertyAllowList, settings.propertyDenyList);
+    if (settings.redactPii) scrub.redact(props);
+    formatValues(props, settings);
+
+    props = extend({}, order, props, {
+      order_id: track.orderId(),
+      currency: currency,
+      revenue: price === undefined ? undefined : round(price * quantity)
+    });
+    if (properties.$insert_id) props.$insert_id = formatInsertId(properties.$insert_id + '-' + i);
+    return {
+      event: 'Product Purchased',
+      properties: reject(props)
+    };
+  });
+}
+
+/**
+ * Round `amount` to cents.
+ *
+ * @param {Number} amount
+ * @return {Number}
+ * @api private
+ */
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats a date for Mixpanel's API, takes the first part of the iso string
+ *
+ * https://mixpanel.com/help/reference/http#dates-in-updates
+ *
+ * @param {Mixed} date
+ * @return {String}
+ * @api private
+ */
+
+function formatDate(date){
+  date = new Date(date);
+  if (isNaN(date.getTime())) return;
+  return date.toISOString().slice(0,19);
+}
+
+/**
+ * Get increments.
+ *
+ * Events named in `.increments` count under their own name, `.incrementRules`
+ * can also name the counter, add amounts to other people properties and
+ * `$set_once` a `First <event>` timestamp:
+ *
+ *    {
+ *      event: 'Order Completed',
+ *      counter: 'Orders',
+ *      increments: { 'Lifetime Value': 'properties.total' },
+ *      setOnce: true
+ *    }
+ *
+ * Amounts are numbers or paths into the message, a `counter` of `false`
+ * only adds the `increments`.
+ *
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function getIncrements(track, settings){
+  var inc = lowercase(settings.increments || []);
+  var event = track.event();
+  var timestamp = formatDate(track.timestamp());
+  var rules = (settings.incrementRules || []).filter(function(rule) {
+    return String(rule.event).toLowerCase() === event.toLowerCase();
+  });
+
+  if (!rules.length && inc.indexOf(event.toLowerCase()) !== -1) rules.push({ event: event });
+  if (!rules.length) return;
+
+  var ret = { $set: {}, $add: {}, $set_once: {} };
+  ret.$set['Last ' + event] = timestamp;
+
+  rules.forEach(function(rule) {
+    var counter = rule.counter == null ? event : rule.counter;
+    if (counter) add(counter, 1);
+    each(rule.increments || {}, function(amount, property) {
+      add(property, is.number(amount) ? amount : Number(track.proxy(amount)));
+    });
+    if (rule.setOnce) ret.$set_once['First ' + event] = timestamp;
+  });
+
+  return ret;
+
+  function add(property, amount) {
+    if (!amount) return;
+    ret.$add[property] = (ret.$add[property] || 0) + amount;
+  }
 }
 
 /**
- * Format the mixpanel specific properties.
+ * Get the event `properties` of `track` to copy onto the user's profile, by
+ * operation. `properties` are the event's, as sent to Mixpanel after the
+ * mappings, filters and redaction.
  *
- * https://github.com/mixpanel/mixpanel-android/blob/34eb2205882cae137597dfb16f9c13545de32ca5/src/main/java/com/mixpanel/android/mpmetrics/AnalyticsMessages.java#L403
+ * `.peopleProperties` maps event names to the properties to `$set`, or to
+ * `{ set: [...], setOnce: [...] }`:
+ *
+ *    {
+ *      'Subscription Changed': ['plan'],
+ *      'Signed Up': { setOnce: ['source'] }
+ *    }
  *
  * @param {Track} track
+ * @param {Object} properties
  * @param {Object} settings
  * @return {Object}
+ * @api private
  */
 
-function formatProperties(track, settings){
-  var properties = track.properties() || {};
-  var identify = track.identify();
-  var userAgent = track.userAgent();
-  var campaign = track.proxy('context.campaign') || undefined;
-  var app = track.proxy('context.app') || {};
-  var semanticProps = {
-    $app_release: app.build,
-    $app_version: app.version,
-    $current_url: track.proxy('context.page.url'),
-    $device: track.proxy('context.device.name'),
-    distinct_id: track.userId() || track.sessionId(),
-    ip: track.ip(),
-    mp_lib: 'Segment: ' + track.library().name,
-    $referrer: track.referrer(),
-    $search_engine: track.proxy('properties.searchEngine'),
-    time: time(track.timestamp()),
-    token: settings.token,
-    $username: track.proxy('properties.username')
-  };
-
-  // Remove possible duplicate properties.
-  // Note that this will object.del will strip any special characters
-  // before the lookup
-  object.del(properties, 'username');
-  object.del(properties, 'searchEngine');
-  object.del(properties, 'referrer');
-
-  extend(properties, semanticProps);
+function getPeopleProperties(track, properties, settings) {
+  var event = track.event().toLowerCase();
+  var ret = {};
 
-  // Add the name tag
-  properties.mp_name_tag = identify.name()
-    || identify.email()
-    || identify.userId()
-    || identify.sessionId();
+  if (!track.userId()) return ret;
 
-  if (userAgent) extend(properties, formatUserAgent(userAgent));
+  each(settings.peopleProperties || {}, function(names, name) {
+    if (name.toLowerCase() !== event) return;
+    if (is.array(names)) names = { set: names };
+    add('$set', names.set);
+    add('$set_once', names.setOnce);
+  });
 
-  // Map mobile specific special props
-  extend(properties, formatMobileSpecific(track));
+  return ret;
 
-  // Map UTM params
-  if (campaign) {
-    properties.utm_source = campaign.source;
-    properties.utm_medium = campaign.medium;
-    properties.utm_term = campaign.term;
-    properties.utm_content = campaign.content;
-    properties.utm_campaign = campaign.name;
+  function add(type, names) {
+    toArray(names).forEach(function(name) {
+      var val = object.find(properties, name);
+      if (val === undefined) return;
+      ret[type] = ret[type] || {};
+      ret[type][traitAliases[name] || name] = val;
+    });
   }
+}
 
-  // Strip null/undefined values
-  properties = reject(properties);
-  stringifyValues(properties);
+/**
+ * Mixpanel uses different endpoints for historical import.
+ *
+ * https://mixpanel.com/docs/api-documentation/importing-events-older-than-31-days
+ *
+ * @param {Facade} message
+ * @return {Boolean}
+ * @api private
+ */
 
-  return properties;
+function shouldImport(message){
+  var timestamp = message.timestamp() || new Date();
+  return (Date.now() - timestamp.getTime()) > ms('5d');
 }
 
 /**
- * Format userAgent properties
+ * Derive the `$insert_id` Mixpanel deduplicates events on from the
+ * `insertId` option or the message id, hashing ids that are too long or
+ * contain invalid characters.
  *
- * https://mixpanel.com/help/questions/articles/what-properties-do-mixpanels-libraries-store-by-default
+ * https://developer.mixpanel.com/reference/import-events#propertiesinsert_id
  *
- * @param {string} data
- * @return {Object}
+ * @param {Facade} message
+ * @param {Object} settings
+ * @return {String}
  * @api private
  */
 
-function formatUserAgent(data){
-  var ret = {};
-  var parsed = parse(data);
-  var browser = parsed.browser;
-  var os = parsed.os;
+function insertId(message, settings) {
+  var id = settings.insertId || message.proxy('messageId');
+  if (!id) return;
+  return formatInsertId(String(id));
+}
 
-  if (browser) {
-    ret.$browser = browser.name;
-    ret.$browser_version = browser.version;
-  }
+/**
+ * Hash `id` if it can't be used as an `$insert_id` as is.
+ *
+ * @param {String} id
+ * @return {String}
+ * @api private
+ */
 
-  return ret;
+function formatInsertId(id) {
+  if (/^[A-Za-z0-9-]{1,36}$/.test(id)) return id;
+  return crypto.createHash('md5').update(id).digest('hex');
 }
 
 /**
- * Format mobile specific properties
- * https://mixpanel.com/help/questions/articles/what-properties-do-mixpanels-libraries-store-by-default
+ * Whether `msg` is sent to the `/import` API, which needs the credentials
+ * of `canImport()`.
  *
- * @param {msg} msg
- * @return {Object}
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Boolean}
  * @api private
  */
 
-function formatMobileSpecific(track) {
-  var device = track.proxy('context.device') || {};
-  var app = track.proxy('context.app') || {};
-  var os = track.proxy('context.os') || {};
-  var network = track.proxy('context.network') || {};
-  var screen = track.proxy('context.screen') || {};
-  var ret = {};
-
-  ret.$carrier = network.carrier;
-  ret.$manufacturer = device.manufacturer;
-  ret.$model = device.model;
-  ret.$os = os.name;
-  ret.$os_version = os.version;
-  ret.$screen_height = screen.height;
-  ret.$screen_width = screen.width;
-  ret.$wifi = network.wifi
-  // ret.$brand = device.model; what should this be
+function needsImport(msg, settings) {
+  if (msg.type() === 'alias') return settings.identityMerge === 'merge';
+  if (msg.type() !== 'track' && msg.type() !== 'screen') return false;
+  return shouldImport(msg);
+}
 
+/**
+ * Validate the `project` that `msg` may be sent to along with the main
+ * project of `settings`, returns an error message for the first invalid
+ * setting of the project.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @param {Object} project
+ * @return {String}
+ * @api private
+ */
 
-  switch (device.type) {
-    case 'iOS':
-      ret.$ios_ifa = device.advertisingId;
-      ret.$ios_device_model = device.model;
-      ret.$ios_app_release = app.build;
-      ret.$ios_app_version = app.version;
-      ret.$ios_version = os.version;
-      break;
-    case 'android':
-      ret.$screen_dpi = screen.density;
-      ret.$bluetooth_enabled = network.bluetooth;
-      ret.$has_telephone = network.cellular;
-      ret.$android_version_code = app.version;
-      ret.$android_app_version = app.version;
-      ret.$android_os = os.name;
-      ret.$android_os_version = os.version;
-      ret.$android_model = device.model;
-      ret.$android_manufacturer = device.manufacturer;
-      // ret.$android_brand = device.manufacturer; ?? what should this be
-      break;
+function validateProject(msg, settings, project) {
+  if (!project.token) return '.token is required.';
+  if (!region(project)) return '.region is unknown.';
+  var invalidFilter = project.filters && scrub.invalid(toArray(project.filters.events));
+  if (invalidFilter) return '.filters.events "' + invalidFilter + '" is not a valid regular expression.';
+  if (canImport(project)) return;
+  if (rules.imports(project.eventRules || settings.eventRules)) {
+    return '.apiKey or .projectSecret is required for .eventRules that import.';
   }
-  return ret;
+  if (!rules.matches(msg, project.filters)) return;
+  if (!needsImport(msg, extend({}, settings, project))) return;
+  return '.apiKey or .projectSecret is required to import "' + msg.type() + '" messages.';
 }
 
 /**
- * Create a revenue track call
+ * Whether `settings` have the credentials to import messages.
  *
- * https://mixpanel.com/help/reference/http#tracking-revenue
- *
- * @param {Track} track
  * @param {Object} settings
- * @return {Object}
+ * @return {Boolean}
  * @api private
  */
 
-function formatRevenue(track, settings){
-  var ret = {
-    $distinct_id: track.userId() || track.sessionId(),
-    $token: settings.token,
-    $ip: track.ip(),
-    $append: {
-      $transactions: {
-        $time: formatDate(track.timestamp()),
-        $amount: track.revenue()
-      }
-    }
-  };
-  // don't flag as last seen by default
-  var ignoreTime = !track.active();
-  if (ignoreTime) ret.$ignore_time = ignoreTime;
-  return ret;
+function canImport(settings) {
+  return !!settings.apiKey || strictImport(settings);
 }
 
 /**
- * Formats a date for Mixpanel's API, takes the first part of the iso string
+ * Whether `settings` can use the strict `/import` API.
  *
- * https://mixpanel.com/help/reference/http#dates-in-updates
+ * @param {Object} settings
+ * @return {Boolean}
+ * @api private
+ */
+
+function strictImport(settings) {
+  return !!(settings.projectSecret || settings.serviceAccountUsername);
+}
+
+/**
+ * Base64 encode the payload
  *
- * @param {Mixed} date
+ * @param {Object} payload
  * @return {String}
  * @api private
  */
 
-function formatDate(date){
-  date = new Date(date);
-  if (isNaN(date.getTime())) return;
-  return date.toISOString().slice(0,19);
+function b64encode(payload){
+  return new Buffer(JSON.stringify(payload)).toString('base64');
 }
 
 /**
- * Get increments.
+ * Mixpanel's limits on nested values: objects are stringified past `depth`
+ * levels of nesting, lists are cut to `length` items, objects to `keys` keys.
  *
- * @param {Track} track
+ * https://help.mixpanel.com/hc/en-us/articles/115004547063-Properties-Supported-Data-Types
+ */
+
+var nestedLimits = {
+  depth: 3,
+  length: 255,
+  keys: 255
+};
+
+/**
+ * Format the nested values of `obj` according to `.nestedProperties`:
+ *
+ *   - `stringify` (default) sends nested objects as JSON strings
+ *   - `preserve` sends objects and lists as is, within Mixpanel's limits
+ *   - `flatten` sends nested objects as dot-notation keys, e.g. `order.id`
+ *
+ * @param {Object} obj
  * @param {Object} settings
  * @return {Object}
  * @api private
  */
 
-function getIncrements(track, settings){
-  var inc = lowercase(settings.increments || []);
-  var event = track.event();
-  if (!~inc.indexOf(event.toLowerCase())) return;
-  var ret = { $set: {}, $add: {} };
-  ret.$set['Last ' + event] = formatDate(track.timestamp());
-  ret.$add[event] = 1;
-  return ret;
+function formatValues(obj, settings) {
+  switch (settings.nestedProperties) {
+  case 'preserve':
+    return preserveValues(obj);
+  case 'flatten':
+    return flattenValues(obj);
+  default:
+    return stringifyValues(obj);
+  }
 }
 
 /**
- * Mixpanel uses different endpoints for historical import.
+ * Preserve the nested values of `obj` within Mixpanel's limits.
  *
- * https://mixpanel.com/docs/api-documentation/importing-events-older-than-31-days
+ * @param {Object} obj
+ * @return {Object}
+ * @api private
+ */
+
+function preserveValues(obj) {
+  Object.keys(obj).forEach(function(key) {
+    obj[key] = limitValue(obj[key], 1);
+  });
+
+  return obj;
+}
+
+/**
+ * Flatten the nested objects of `obj` to dot-notation keys, lists are
+ * preserved within Mixpanel's limits.
  *
- * @param {Facade} message
- * @return {Boolean}
+ * @param {Object} obj
+ * @param {Object} [ret]
+ * @param {String} [prefix]
+ * @return {Object}
  * @api private
  */
 
-function shouldImport(message){
-  var timestamp = message.timestamp() || new Date();
-  return (Date.now() - timestamp.getTime()) > ms('5d');
+function flattenValues(obj, ret, prefix) {
+  ret = ret || obj;
+  prefix = prefix || '';
+
+  Object.keys(obj).forEach(function(key) {
+    var val = obj[key];
+    if (ret === obj) delete obj[key];
+    if (is.object(val)) return flattenValues(val, ret, prefix + key + '.');
+    ret[prefix + key] = limitValue(val, 1);
+  });
+
+  return ret;
 }
 
 /**
- * Base64 encode the payload
+ * Limit the nesting, length and number of keys of `val`, values nested
+ * too deep are stringified.
  *
- * @param {Object} payload
- * @return {String}
+ * @param {Mixed} val
+ * @param {Number} depth
+ * @return {Mixed}
  * @api private
  */
 
-function b64encode(payload){
-  return new Buffer(JSON.stringify(payload)).toString('base64');
+function limitValue(val, depth) {
+  var ret;
+
+  if (!is.array(val) && !is.object(val)) return val;
+  if (depth > nestedLimits.depth) return JSON.stringify(val);
+
+  if (is.array(val)) {
+    return val.slice(0, nestedLimits.length).map(function(item) {
+      return limitValue(item, depth + 1);
+    });
+  }
+
+  ret = {};
+  Object.keys(val).slice(0, nestedLimits.keys).forEach(function(key) {
+    ret[key] = limitValue(val[key], depth + 1);
+  });
+  return ret;
 }
 
 /**
@@ -701,3 +2462,88 @@ function lowercase(arr){
 
   return ret;
 }
+
+/**
+ * Get the first of `values` that is set.
+ *
+ * @param {Array} values
+ * @return {Mixed}
+ * @api private
+ */
+
+function first(values) {
+  for (var i = 0; i < values.length; ++i) {
+    if (values[i] != null) return values[i];
+  }
+}
+
+/**
+ * Wrap `val` in an array, dropping empty values.
+ *
+ * @param {Mixed} val
+ * @return {Array}
+ * @api private
+ */
+
+function toArray(val) {
+  if (val == null || val === '') return [];
+  if (!is.array(val)) return [val];
+  return val.filter(function(item) {
+    return item != null && item !== '';
+  });
+}
+
+/**
+ * Remove the traits named `names` from `traits` and return them, names
+ * may be given by their Segment or Mixpanel name.
+ *
+ * @param {Object} traits
+ * @param {Array} names
+ * @param {Object} settings
+ * @return {Object}
+ * @api private
+ */
+
+function pluck(traits, names, settings) {
+  var ret = {};
+
+  names.forEach(function(name) {
+    var key = traitName(name, settings);
+    if (!traits.hasOwnProperty(key)) return;
+    ret[key] = traits[key];
+    delete traits[key];
+  });
+
+  return ret;
+}
+
+/**
+ * Get the Mixpanel name `formatTraits()` gives the trait `name`, from the
+ * `.traitMappings` or the special Mixpanel properties. Traits mapped to a
+ * falsy name are dropped, so they have none.
+ *
+ * @param {String} name
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function traitName(name, settings) {
+  var mappings = settings.traitMappings || {};
+  if (mappings.hasOwnProperty(name)) return mappings[name];
+  return traitAliases[name] || name;
+}
+
+/**
+ * Remove duplicate values from `arr`.
+ *
+ * @param {Array} arr
+ * @return {Array}
+ * @api private
+ */
+
+function unique(arr) {
+  return arr.filter(function(item, i) {
+    return arr.indexOf(item) === i;
+  });
+}
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var errors = require('./errors');
+
+/**
+ * Expose `Queue`
+ */
+
+module.exports = Queue;
+
+/**
+ * Buffer records by key, handing them to `flush(key, records, done)` once
+ * `options.size` records are buffered or `options.interval` ms have passed.
+ *
+ * When `flush` calls `done(err, res)` with the records Mixpanel rejected on
+ * `err.records`, see `_parseImportResponse()`, each record's callback only
+ * receives its own error, and the other records succeed.
+ *
+ * @param {Object} options
+ * @param {Function} flush
+ * @api private
+ */
+
+function Queue(options, flush) {
+  this.size = options.size;
+  this.interval = options.interval;
+  this.send = flush;
+  this.buffers = {};
+  this.timers = {};
+}
+
+/**
+ * Buffer `record` under `key`, `fn(err, res)` is called with the
+ * result of the request that eventually sends it.
+ *
+ * @param {String} key
+ * @param {Object} record
+ * @param {Function} fn
+ * @api private
+ */
+
+Queue.prototype.push = function(key, record, fn) {
+  var buffer = this.buffers[key] = this.buffers[key] || [];
+  var self = this;
+
+  buffer.push({ record: record, fn: fn });
+  if (buffer.length >= this.size) return this.flush(key);
+  if (this.timers[key]) return;
+  this.timers[key] = setTimeout(function() {
+    self.flush(key);
+  }, this.interval);
+};
+
+/**
+ * Send the records buffered under `key`.
+ *
+ * @param {String} key
+ * @param {Function} [fn]
+ * @api private
+ */
+
+Queue.prototype.flush = function(key, fn) {
+  var buffer = this.buffers[key] || [];
+  var records = buffer.map(function(entry) { return entry.record; });
+
+  clearTimeout(this.timers[key]);
+  delete this.timers[key];
+  delete this.buffers[key];
+  fn = fn || function() {};
+  if (!records.length) return fn();
+
+  this.send(key, records, function(err, res) {
+    var failed = recordErrors(err, records);
+    buffer.forEach(function(entry, i) {
+      entry.fn(failed ? failed[i] || null : err, res);
+    });
+    fn(err, res);
+  });
+};
+
+/**
+ * Send everything that is buffered.
+ *
+ * @param {Function} fn
+ * @api private
+ */
+
+Queue.prototype.flushAll = function(fn) {
+  var keys = Object.keys(this.buffers);
+  var pending = keys.length;
+  var self = this;
+  var error;
+
+  if (!pending) return fn();
+  keys.forEach(function(key) {
+    self.flush(key, function(err) {
+      error = error || err;
+      if (--pending) return;
+      fn(error);
+    });
+  });
+};
+
+/**
+ * Get the error of each of the `records` from the `err.records` Mixpanel
+ * rejected, matched by index or by `$insert_id`.
+ *
+ * @param {Error} err
+ * @param {Array} records
+ * @return {Array}
+ * @api private
+ */
+
+function recordErrors(err, records) {
+  if (!err || !err.records) return;
+  var ret = [];
+
+  err.records.forEach(function(failed) {
+    var i = records[failed.index] ? failed.index : indexOf(records, failed.insertId);
+    if (i === -1) return;
+    var error = new errors.MixpanelError(err.code, failed.message || err.message, err.status);
+    error.records = [failed];
+    ret[i] = error;
+  });
+
+  return ret;
+}
+
+/**
+ * Get the index of the record with the `$insert_id` of `insertId`.
+ *
+ * @param {Array} records
+ * @param {String} insertId
+ * @return {Number}
+ * @api private
+ */
+
+function indexOf(records, insertId) {
+  if (!insertId) return -1;
+  for (var i = 0; i < records.length; ++i) {
+    if ((records[i].properties || {}).$insert_id === insertId) return i;
+  }
+  return -1;
+}
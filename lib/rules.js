@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var object = require('obj-case');
+var scrub = require('./scrub');
+var is = require('is');
+
+/**
+ * Evaluate the event `rules` against `track`, in order.
+ *
+ * A rule matches events by `event` name, glob or regular expression, and
+ * by `properties`, which map property paths to a value or an operator:
+ *
+ *    {
+ *      event: 'Debug *',
+ *      properties: { plan: 'free', seats: { $gt: 10 } },
+ *      drop: true
+ *    }
+ *
+ * Matching rules may `drop` the event, `rename` it, send it to `/import`
+ * with `import`, or `skipPeople` to leave the profile alone. Later rules
+ * see the renamed event.
+ *
+ * Returns `{ drop, event, import, skipPeople }`.
+ *
+ * @param {Track} track
+ * @param {Array} [rules]
+ * @return {Object}
+ * @api private
+ */
+
+module.exports = function(track, rules) {
+  var ret = { drop: false, event: track.event(), import: false, skipPeople: false };
+  var properties = track.properties();
+
+  (rules || []).forEach(function(rule) {
+    if (ret.drop) return;
+    if (rule.event && !scrub.matches(toArray(rule.event), ret.event)) return;
+    if (!matchesProperties(properties, rule.properties || {})) return;
+    if (rule.drop) ret.drop = true;
+    if (rule.rename) ret.event = rule.rename;
+    if (rule.import) ret.import = true;
+    if (rule.skipPeople) ret.skipPeople = true;
+  });
+
+  return ret;
+};
+
+/**
+ * Validate the event `rules`, returns an error message for the first
+ * event pattern that is not a valid regular expression.
+ *
+ * @param {Array} [rules]
+ * @return {String}
+ * @api private
+ */
+
+module.exports.validate = function(rules) {
+  for (var i = 0; i < (rules || []).length; ++i) {
+    var pattern = rules[i].event && scrub.invalid(toArray(rules[i].event));
+    if (pattern) return '.eventRules[' + i + '].event "' + pattern + '" is not a valid regular expression.';
+  }
+};
+
+/**
+ * Whether any of the event `rules` sends events to `/import`.
+ *
+ * @param {Array} [rules]
+ * @return {Boolean}
+ * @api private
+ */
+
+module.exports.imports = function(rules) {
+  return (rules || []).some(function(rule) {
+    return !!rule.import;
+  });
+};
+
+/**
+ * Whether `msg` passes the project target `filters`:
+ *
+ *    {
+ *      types: ['track', 'identify'],
+ *      events: ['Order *'],
+ *      properties: { plan: { $ne: 'free' } }
+ *    }
+ *
+ * `events` only applies to `track` messages, `properties` are matched
+ * against the traits of `identify` and `group` messages.
+ *
+ * @param {Facade} msg
+ * @param {Object} [filters]
+ * @return {Boolean}
+ * @api private
+ */
+
+module.exports.matches = function(msg, filters) {
+  var type = msg.type();
+  var values = msg.proxy(type === 'identify' || type === 'group' ? 'traits' : 'properties');
+
+  filters = filters || {};
+  if (filters.types && toArray(filters.types).indexOf(type) === -1) return false;
+  if (filters.events && type === 'track' && !scrub.matches(toArray(filters.events), msg.event())) return false;
+  return matchesProperties(values || {}, filters.properties || {});
+};
+
+/**
+ * Operators of property predicates.
+ */
+
+var operators = {
+  $eq: function(value, arg) { return value === arg; },
+  $ne: function(value, arg) { return value !== arg; },
+  $in: function(value, arg) { return toArray(arg).indexOf(value) !== -1; },
+  $nin: function(value, arg) { return toArray(arg).indexOf(value) === -1; },
+  $gt: function(value, arg) { return value > arg; },
+  $gte: function(value, arg) { return value >= arg; },
+  $lt: function(value, arg) { return value < arg; },
+  $lte: function(value, arg) { return value <= arg; },
+  $exists: function(value, arg) { return value != null === !!arg; }
+};
+
+/**
+ * Whether `properties` satisfy every predicate in `predicates`.
+ *
+ * @param {Object} properties
+ * @param {Object} predicates
+ * @return {Boolean}
+ * @api private
+ */
+
+function matchesProperties(properties, predicates) {
+  return Object.keys(predicates).every(function(path) {
+    var predicate = predicates[path];
+    var value = object.find(properties, path);
+
+    if (!is.object(predicate)) return value === predicate;
+    return Object.keys(predicate).every(function(op) {
+      if (!operators[op]) return false;
+      return operators[op](value, predicate[op]);
+    });
+  });
+}
+
+/**
+ * Wrap `val` in an array if it is not one.
+ *
+ * @param {Mixed} val
+ * @return {Array}
+ * @api private
+ */
+
+function toArray(val) {
+  return is.array(val) ? val : [val];
+}
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var is = require('is');
+
+/**
+ * Emails in free text.
+ */
+
+var emailPattern = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+/**
+ * Runs of 13 to 19 digits, optionally separated by spaces or dashes.
+ */
+
+var cardPattern = /\b(?:\d[ -]?){12,18}\d\b/g;
+
+/**
+ * Patterns written as regular expressions, like `/^internal_/i`.
+ */
+
+var regexpPattern = /^\/(.+)\/([gimuy]*)$/;
+
+/**
+ * A regular expression that matches nothing.
+ */
+
+var nothing = /(?!)/;
+
+/**
+ * Replacement for redacted values.
+ */
+
+var REDACTED = '[REDACTED]';
+
+/**
+ * Remove the keys of `obj` that are not matched by `allow`, when given, or
+ * that are matched by `deny`.
+ *
+ * Patterns are exact keys, globs (`utm_*`) or regular expressions
+ * (`/^internal_/i`).
+ *
+ * @param {Object} obj
+ * @param {Array} [allow]
+ * @param {Array} [deny]
+ * @return {Object}
+ * @api private
+ */
+
+exports.filter = function(obj, allow, deny) {
+  var allowed = compile(allow);
+  var denied = compile(deny);
+
+  Object.keys(obj).forEach(function(key) {
+    if (allow && !matches(allowed, key) || matches(denied, key)) delete obj[key];
+  });
+
+  return obj;
+};
+
+/**
+ * Whether `key` is matched by any of the `patterns`, see `filter()`.
+ *
+ * @param {Array} patterns
+ * @param {String} key
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.matches = function(patterns, key) {
+  return matches(compile(patterns), key);
+};
+
+/**
+ * Get the first of `patterns` that is not a valid regular expression.
+ *
+ * @param {Array} patterns
+ * @return {String}
+ * @api private
+ */
+
+exports.invalid = function(patterns) {
+  return (patterns || []).filter(function(pattern) {
+    var regexp = regexpPattern.exec(pattern);
+    if (!regexp) return false;
+    try {
+      RegExp(regexp[1], regexp[2]);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  })[0];
+};
+
+/**
+ * Redact emails in free-text values and credit-card-like numbers in `obj`,
+ * including nested objects and arrays, except for the `keep` keys.
+ *
+ * @param {Object} obj
+ * @param {Array} [keep]
+ * @return {Object}
+ * @api private
+ */
+
+exports.redact = function(obj, keep) {
+  Object.keys(obj).forEach(function(key) {
+    if (keep && keep.indexOf(key) !== -1) return;
+    obj[key] = redactValue(obj[key]);
+  });
+
+  return obj;
+};
+
+/**
+ * Redact `val`.
+ *
+ * @param {Mixed} val
+ * @return {Mixed}
+ * @api private
+ */
+
+function redactValue(val) {
+  if (is.string(val)) {
+    return val
+      .replace(emailPattern, REDACTED)
+      .replace(cardPattern, function(match) {
+        return luhn(match.replace(/\D/g, '')) ? REDACTED : match;
+      });
+  }
+  if (is.array(val)) return val.map(redactValue);
+  if (is.object(val)) return exports.redact(val);
+  return val;
+}
+
+/**
+ * Whether `digits` passes the Luhn checksum used by card numbers.
+ *
+ * @param {String} digits
+ * @return {Boolean}
+ * @api private
+ */
+
+function luhn(digits) {
+  var sum = 0;
+
+  for (var i = 0; i < digits.length; ++i) {
+    var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+    if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Compile `patterns` to regular expressions, invalid regular expressions
+ * match nothing.
+ *
+ * @param {Array} patterns
+ * @return {Array}
+ * @api private
+ */
+
+function compile(patterns) {
+  return (patterns || []).map(function(pattern) {
+    var regexp = regexpPattern.exec(pattern);
+    if (regexp) {
+      try {
+        return new RegExp(regexp[1], regexp[2].replace(/[gy]/g, ''));
+      } catch (e) {
+        return nothing;
+      }
+    }
+    return new RegExp('^' + pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$');
+  });
+}
+
+/**
+ * Whether any of the `patterns` matches `key`.
+ *
+ * @param {Array} patterns
+ * @param {String} key
+ * @return {Boolean}
+ * @api private
+ */
+
+function matches(patterns, key) {
+  return patterns.some(function(pattern) {
+    return pattern.test(key);
+  });
+}
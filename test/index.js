@@ -1,10 +1,16 @@
 
 var Test = require('segmentio-integration-tester');
+var Facade = require('segmentio-facade');
 var helpers = require('./helpers');
 var assert = require('assert');
 var time = require('unix-time');
 var Mixpanel = require('..');
+var errors = require('../lib/errors');
+var rules = require('../lib/rules');
+var Queue = require('../lib/queue');
 var uuid = require('uuid');
+var http = require('http');
+var url = require('url');
 
 describe('Mixpanel', function(){
   var mixpanel;
@@ -44,6 +50,21 @@ describe('Mixpanel', function(){
       }, settings);
     });
 
+    it('should be valid for old "track" messages with .projectSecret', function() {
+      delete settings.apiKey;
+      settings.projectSecret = 'x';
+      test.valid({
+        type: 'track',
+        timestamp: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      }, settings);
+    });
+
+    it('should be invalid with a service account but no .projectId', function() {
+      settings.serviceAccountUsername = 'user';
+      settings.serviceAccountSecret = 'secret';
+      test.invalid({}, settings);
+    });
+
     it('should be valid for new "track" messages without .apiKey', function(){
       delete settings.apiKey;
       test.valid({
@@ -62,6 +83,115 @@ describe('Mixpanel', function(){
         timestamp: new Date('5/10/2010')
       }, settings);
     });
+
+    it('should be valid with a known .region', function() {
+      settings.region = 'EU';
+      test.valid({}, settings);
+    });
+
+    it('should be invalid with an unknown .region', function() {
+      settings.region = 'mars';
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid with an unknown .ipPolicy', function() {
+      settings.ipPolicy = 'server';
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid with an unknown .identityMerge', function() {
+      settings.identityMerge = 'mrege';
+      test.invalid({}, settings);
+      settings.identityMerge = 'simplified';
+      test.valid({}, settings);
+    });
+
+    it('should be invalid with an invalid `.eventRules` regular expression', function() {
+      settings.eventRules = [{ event: '/(Debug/', drop: true }];
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid with importing `.eventRules` without .apiKey', function() {
+      delete settings.apiKey;
+      settings.eventRules = [{ event: 'Order *', import: true }];
+      test.invalid({}, settings);
+      settings.projectSecret = 'x';
+      test.valid({}, settings);
+    });
+
+    it('should be invalid when a project imports by `.eventRules` without credentials', function() {
+      settings.eventRules = [{ event: 'Order *', import: true }];
+      settings.projects = [{ token: 'x' }];
+      test.invalid({}, settings);
+      settings.projects = [{ token: 'x', apiKey: 'x' }];
+      test.valid({}, settings);
+    });
+
+    it('should be invalid with an invalid project `.filters` regular expression', function() {
+      settings.projects = [{ token: 'x', filters: { events: ['/(bad/'] } }];
+      test.invalid({}, settings);
+      settings.projects = [{ token: 'x', filters: { events: ['/^Order/i'] } }];
+      test.valid({}, settings);
+    });
+
+    it('should be invalid when a project has no .token', function() {
+      settings.projects = [{ apiKey: 'x' }];
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid when a project has an unknown .region', function() {
+      settings.projects = [{ token: 'x', region: 'mars' }];
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid when a project imports without credentials', function() {
+      delete settings.apiKey;
+      settings.projectSecret = 'x';
+      settings.projects = [{ token: 'x' }];
+      test.invalid({
+        type: 'track',
+        timestamp: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      }, settings);
+      settings.projects = [{ token: 'x', apiKey: 'x' }];
+      test.valid({
+        type: 'track',
+        timestamp: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      }, settings);
+    });
+  });
+
+  describe('.url()', function() {
+    it('should use the US hosts by default', function() {
+      assert.equal(mixpanel.url('/track'), 'https://api.mixpanel.com/track');
+      assert.equal(mixpanel.url('/api/app/data-deletions/v3.0/', 'app'), 'https://mixpanel.com/api/app/data-deletions/v3.0/');
+    });
+
+    it('should use the hosts of the .region', function() {
+      mixpanel.settings.region = 'eu';
+      assert.equal(mixpanel.url('/engage'), 'https://api-eu.mixpanel.com/engage');
+      assert.equal(mixpanel.url('/api/app/data-deletions/v3.0/', 'app'), 'https://eu.mixpanel.com/api/app/data-deletions/v3.0/');
+      mixpanel.settings.region = 'in';
+      assert.equal(mixpanel.url('/import'), 'https://api-in.mixpanel.com/import');
+    });
+
+    it('should use the .apiHost for ingestion', function() {
+      mixpanel.settings.region = 'eu';
+      mixpanel.settings.apiHost = 'proxy.example.com/mixpanel/';
+      assert.equal(mixpanel.url('/track'), 'https://proxy.example.com/mixpanel/track');
+      assert.equal(mixpanel.url('/api/app/data-deletions/v3.0/', 'app'), 'https://eu.mixpanel.com/api/app/data-deletions/v3.0/');
+    });
+
+    it('should send to the EU host', function(done) {
+      test
+        .set(settings)
+        .set({ region: 'eu', people: false })
+        .track(helpers.track())
+        .end(function(err) {
+          if (err) return done(err);
+          assert(/^https:\/\/api-eu\.mixpanel\.com\/track/.test(test.reqs[0].url));
+          done();
+        });
+    });
   });
 
   describe('.identify()', function(){
@@ -117,6 +247,256 @@ describe('Mixpanel', function(){
         .end(done)
     });
 
+    it('should $union android device tokens', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-device-token-android'));
+
+      test
+        .set(settings)
+        .identify(json.input)
+        .request(1)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should $union web push subscriptions into `.webPushProperty`', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-device-token-android'));
+      json.input.context.device = { type: 'web', token: 'https://fcm.googleapis.com/fcm/send/abc' };
+      json.output.$union = { web_push_subscriptions: ['https://fcm.googleapis.com/fcm/send/abc'] };
+
+      test
+        .set(settings)
+        .set({ webPushProperty: 'web_push_subscriptions' })
+        .identify(json.input)
+        .requests(2)
+        .request(1)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should skip web push subscriptions without `.webPushProperty`', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-device-token-android'));
+      json.input.context.device = { type: 'web', token: 'https://fcm.googleapis.com/fcm/send/abc' };
+
+      test
+        .set(settings)
+        .identify(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(test.reqs.length, 1);
+          assert(decode(test.reqs[0].qs.data).$set);
+          done();
+        });
+    });
+
+    it('should skip the tokens of unknown devices', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-device-token-android'));
+      json.input.context.device = { type: 'windows', token: 'abc' };
+
+      test
+        .set(settings)
+        .identify(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(test.reqs.length, 1);
+          assert(decode(test.reqs[0].qs.data).$set);
+          done();
+        });
+    });
+
+    it('should $remove device tokens with `.removePushToken`', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-device-token-remove'));
+
+      test
+        .set(settings)
+        .identify(json.input)
+        .request(1)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should not update the profile when `integrations.Mixpanel.people` is false', function(done) {
+      var msg = helpers.identify({ integrations: { Mixpanel: { people: false } } });
+      mixpanel.identify(msg, function() {
+        assert.equal(0, arguments.length);
+        done();
+      });
+    });
+
+    it('should still honor `context.Mixpanel.ignoreIp`', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-basic'));
+      var input = JSON.parse(JSON.stringify(json.input));
+      var output = JSON.parse(JSON.stringify(json.output));
+      input.context = input.context || {};
+      input.context.Mixpanel = { ignoreIp: true };
+      output.$ip = 0;
+
+      test
+        .set(settings)
+        .identify(input)
+        .query({ ip: '0', verbose: '1' })
+        .query('data', output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should only set the browser of the profile', function(done) {
+      var json = test.fixture('track-user-agent-data');
+      json.input.type = 'identify';
+      json.input.timestamp = new Date();
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          var traits = decode(test.reqs[0].qs.data).$set;
+          assert.equal(traits.$browser, 'Chrome');
+          assert.equal(traits.$browser_version, '120.0');
+          assert.equal(traits.$os, undefined);
+          assert.equal(traits.$os_version, undefined);
+          assert.equal(traits.$device, undefined);
+          assert.equal(traits.$device_type, undefined);
+          done();
+        });
+    });
+
+    it('should apply the workspace trait mappings', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-trait-mappings'));
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should filter and redact traits', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-scrub'));
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should not redact the ids of users identified by email', function(done) {
+      var json = test.fixture('identify-scrub');
+      json.input.userId = 'jd@example.com';
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ traitAllowList: null })
+        .identify(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          var payload = decode(test.reqs[0].qs.data);
+          assert.equal(payload.$distinct_id, 'jd@example.com');
+          assert.equal(payload.$set.id, 'jd@example.com');
+          assert.equal(payload.$set.$email, 'jd@example.com');
+          assert.equal(payload.$set.notes, 'alt email [REDACTED]');
+          done();
+        });
+    });
+
+    it('should identify anonymous users by device under Simplified ID Merge', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-simplified'));
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should send $set_once for set once traits', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-set-once'));
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .requests(3)
+        .request(1)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should send $unset for unset traits', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-set-once'));
+      delete json.output.$set_once;
+      json.output.$unset = ['Trial Plan'];
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .requests(3)
+        .request(2)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should $unset traits by their Mixpanel name', function(done) {
+      var json = updateFixtureTimestamp(test.fixture('identify-set-once'));
+      delete json.output.$set_once;
+      json.input.integrations.Mixpanel.unset = ['email', 'plan', 'Trial Plan'];
+      json.output.$unset = ['$email', 'Plan', 'Trial Plan'];
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ traitMappings: { plan: 'Plan' } })
+        .identify(json.input)
+        .requests(3)
+        .request(2)
+        .query({ ip: 0, verbose: 1 })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should link the anonymous id with the `identify` identity strategy', function(done) {
+      var json = test.fixture('identify-merge');
+      json.input.timestamp = new Date();
+      json.output.properties.time = time(json.input.timestamp);
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .requests(1)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
     it('should error on invalid request', function(done){
       test
         .set({ apiKey: 'x' })
@@ -156,160 +536,1357 @@ describe('Mixpanel', function(){
         .track(json.input)
         .query({ api_key: settings.apiKey })
         .query({ verbose: '1' })
+        .query({ ip: '0' })
         .query('data', json.output, decode)
         .end(function(err, res){
           if (err) return done(err);
-          assert.equal(1, res.length);
-          assert.equal(200, res[0].status);
+          assert.equal(1, res.length);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should derive the browser, os and device from client hints', function(done) {
+      var json = test.fixture('track-user-agent-data');
+      var date = json.input.timestamp = new Date();
+      json.output.properties.time = time(date);
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should derive the os and device from the user agent with `.enrichUserAgent`', function(done) {
+      var json = test.fixture('track-basic');
+      delete json.input.context.os;
+      test
+        .set(settings)
+        .set({ people: false, enrichUserAgent: true })
+        .track(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          var properties = decode(test.reqs[0].qs.data).properties;
+          assert.equal(properties.$browser, 'Safari');
+          assert.equal(properties.$browser_version, '7.1');
+          assert.equal(properties.$os, 'RIM Tablet OS');
+          assert.equal(properties.$os_version, '1.0.0');
+          assert.equal(properties.$device, 'PlayBook');
+          assert.equal(properties.$device_type, 'tablet');
+          done();
+        });
+    });
+
+    it('should have proper error status code', function(done){
+      var json = test.fixture('track-basic');
+      json.input.userId = uuid();
+      // sending timestamp far in the future will trigger an error response from their API
+      json.input.timestamp = new Date('2123-09-16');
+    
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .end(function(err, res){
+          console.log(res);
+          assert.equal(err.status, 400);
+          done();
+        });
+    });
+
+    it('should import old events in strict mode with the project secret', function(done) {
+      var json = test.fixture('track-basic');
+      json.input.timestamp = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+      var requests = [];
+      var server = listen({ '/import': [200, { code: 200, num_records_imported: 1 }] }, requests, function(base) {
+        test
+          .set(settings)
+          .set({ people: false, projectSecret: 'x', apiHost: base })
+          .track(json.input)
+          .end(function(err) {
+            server.close();
+            if (err) return done(err);
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].url, '/import?strict=1&ip=0');
+            assert.equal(requests[0].headers.authorization, 'Basic ' + new Buffer('x:').toString('base64'));
+            done();
+          });
+      });
+    });
+
+    it('should import old events in strict mode with the service account', function(done) {
+      var json = test.fixture('track-basic');
+      json.input.timestamp = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+      var requests = [];
+      var server = listen({ '/import': [200, { code: 200, num_records_imported: 1 }] }, requests, function(base) {
+        test
+          .set(settings)
+          .set({ people: false, serviceAccountUsername: 'user', serviceAccountSecret: 'secret', projectId: '123', apiHost: base })
+          .track(json.input)
+          .end(function(err) {
+            server.close();
+            if (err) return done(err);
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].url, '/import?strict=1&ip=0&project_id=123');
+            assert.equal(requests[0].headers.authorization, 'Basic ' + new Buffer('user:secret').toString('base64'));
+            done();
+          });
+      });
+    });
+
+    it('should send revenue correctly', function(done){
+      var json = test.fixture('track-revenue');
+      var timestamp = json.input.timestamp = new Date();
+      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+
+      var suite = test
+        .requests(2) // total number of requests
+        .set(settings)
+        .set({ people: false })
+        .track(json.input);
+
+      suite
+        .request(1) // second request
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res){
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should send order details with the transaction', function(done) {
+      var json = test.fixture('track-order-completed');
+      var timestamp = json.input.timestamp = new Date();
+      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .requests(4)
+        .request(1)
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[1].status);
+          done();
+        });
+    });
+
+    it('should send an event per purchased product', function(done) {
+      var json = test.fixture('track-order-completed');
+      json.input.timestamp = new Date();
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .requests(4)
+        .end(function(err, res) {
+          if (err) return done(err);
+          var product = decode(test.reqs[3].qs.data);
+          assert.equal(product.event, 'Product Purchased');
+          assert.equal(product.properties.sku, 'sku-2');
+          assert.equal(product.properties.order_id, 'order-1');
+          assert.equal(product.properties.revenue, 20);
+          assert.equal(product.properties.currency, 'USD');
+          assert.equal(product.properties.total, undefined);
+          assert.equal(product.properties.products, undefined);
+          assert.equal(4, res.length);
+          done();
+        });
+    });
+
+    it('should convert, filter and redact the purchased products', function(done) {
+      var json = test.fixture('track-order-completed');
+      json.input.timestamp = new Date();
+      json.input.properties.currency = 'EUR';
+      json.input.properties.products[1].note = 'gift for jd@example.com';
+      json.input.properties.products[1].variant = { color: 'red' };
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({
+          people: false,
+          reportingCurrency: 'USD',
+          currencyRates: { EUR: 1.1 },
+          propertyDenyList: ['sku'],
+          redactPii: true
+        })
+        .track(json.input)
+        .requests(4)
+        .end(function(err) {
+          if (err) return done(err);
+          var product = decode(test.reqs[3].qs.data).properties;
+          assert.equal(product.name, 'Socks');
+          assert.equal(product.price, 5.5);
+          assert.equal(product.revenue, 22);
+          assert.equal(product.currency, 'USD');
+          assert.equal(product.original_revenue, undefined);
+          assert.equal(product.original_currency, undefined);
+          assert.equal(product.sku, undefined);
+          assert.equal(product.note, 'gift for [REDACTED]');
+          assert.equal(product.variant, '{"color":"red"}');
+          done();
+        });
+    });
+
+    it('should send refunds as negative transactions', function(done) {
+      var json = test.fixture('track-order-refunded');
+      var timestamp = json.input.timestamp = new Date();
+      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .requests(2)
+        .request(1)
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[1].status);
+          done();
+        });
+    });
+
+    it('should convert revenue to the reporting currency', function(done) {
+      var json = test.fixture('track-revenue-currency');
+      var timestamp = json.input.timestamp = new Date();
+      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .requests(2)
+        .request(1)
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          var event = decode(test.reqs[0].qs.data);
+          assert.equal(event.properties.revenue, 22);
+          assert.equal(event.properties.currency, 'USD');
+          assert.equal(event.properties.original_revenue, 20);
+          assert.equal(event.properties.original_currency, 'EUR');
+          assert.equal(200, res[1].status);
+          done();
+        });
+    });
+
+    it('should convert revenue with the rate provider', function(done) {
+      var track = helpers.track({ properties: { revenue: 10, currency: 'jpy' } });
+      mixpanel.rateProvider = function(from, to, timestamp, fn) {
+        assert.equal(from, 'JPY');
+        assert.equal(to, 'EUR');
+        assert(timestamp instanceof Date);
+        fn(null, 0.5);
+      };
+
+      test
+        .set(settings)
+        .set({ people: false, reportingCurrency: 'EUR' })
+        .track(track)
+        .end(function(err) {
+          if (err) return done(err);
+          var event = decode(test.reqs[0].qs.data);
+          assert.equal(event.properties.revenue, 5);
+          assert.equal(event.properties.currency, 'EUR');
+          assert.equal(event.properties.original_revenue, 10);
+          assert.equal(event.properties.original_currency, 'JPY');
+          done();
+        });
+    });
+
+    it('should send unconverted revenue when there is no exchange rate', function(done) {
+      var track = helpers.track({ properties: { revenue: 10, currency: 'GBP' } });
+      var conversionError;
+      mixpanel.on('conversion error', function(err) {
+        conversionError = err;
+      });
+
+      test
+        .set(settings)
+        .set({ people: false, reportingCurrency: 'USD' })
+        .track(track)
+        .end(function(err) {
+          if (err) return done(err);
+          var event = decode(test.reqs[0].qs.data);
+          assert.equal(event.properties.revenue, 10);
+          assert.equal(event.properties.currency, 'GBP');
+          assert.equal(event.properties.original_revenue, undefined);
+          assert.equal(conversionError.code, errors.VALIDATION);
+          assert.equal(conversionError.messageId, track.proxy('messageId'));
+          done();
+        });
+    });
+
+    it('should send unconverted revenue when the rate provider fails', function(done) {
+      var track = helpers.track({ properties: { revenue: 10, currency: 'jpy' } });
+      var conversionError;
+      mixpanel.rateProvider = function(from, to, timestamp, fn) {
+        fn(new Error('rates unavailable'));
+      };
+      mixpanel.on('conversion error', function(err) {
+        conversionError = err;
+      });
+
+      test
+        .set(settings)
+        .set({ people: false, reportingCurrency: 'EUR' })
+        .track(track)
+        .end(function(err) {
+          if (err) return done(err);
+          var event = decode(test.reqs[0].qs.data);
+          assert.equal(event.properties.revenue, 10);
+          assert.equal(event.properties.currency, 'jpy');
+          assert.equal(conversionError.message, 'rates unavailable');
+          done();
+        });
+    });
+
+    it('should not send last seen with revenue if active flag is false', function(done){
+      var json = test.fixture('track-ignore-time-with-revenue');
+      var timestamp = json.input.timestamp = new Date();
+      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+
+      var suite = test
+        .requests(2) // total number of requests
+        .set(settings)
+        .set({ people: false })
+        .track(json.input);
+
+      suite
+        .request(1) // second request
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res){
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should send track with context correctly', function(done){
+      var json = test.fixture('track-context');
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res){
+          if (err) return done(err);
+          assert.equal(1, res.length);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should send track with referrer correctly', function(done){
+      var json = test.fixture('track-referrer');
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res){
+          if (err) return done(err);
+          assert.equal(1, res.length);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+
+    it('should send $device_id and $user_id with the `simplified` identity strategy', function(done) {
+      var json = test.fixture('track-simplified');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should track anonymous users by device under Simplified ID Merge', function(done) {
+      var json = test.fixture('track-simplified-anonymous');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should apply the workspace property mappings', function(done) {
+      var json = test.fixture('track-property-mappings');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should filter and redact properties', function(done) {
+      var json = test.fixture('track-scrub');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should not redact the ids of users identified by email', function(done) {
+      var json = test.fixture('track-scrub');
+      json.input.userId = 'jd@example.com';
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          var properties = decode(test.reqs[0].qs.data).properties;
+          assert.equal(properties.distinct_id, 'jd@example.com');
+          assert.equal(properties.mp_name_tag, 'jd@example.com');
+          assert.equal(properties.id, 'jd@example.com');
+          assert.equal(properties.$email, '[REDACTED]');
+          assert.equal(properties.message, 'reach me at [REDACTED], card [REDACTED]');
+          done();
+        });
+    });
+
+    it('should not name the user by email with `.redactPii`', function(done) {
+      var json = test.fixture('track-scrub');
+      json.input.timestamp = new Date();
+      json.input.context = { traits: { email: 'jd@example.com' } };
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          var properties = decode(test.reqs[0].qs.data).properties;
+          assert.equal(properties.$email, '[REDACTED]');
+          assert.equal(properties.mp_name_tag, '999999');
+          done();
+        });
+    });
+
+    it('should preserve nested objects and lists', function(done) {
+      var json = test.fixture('track-nested-preserve');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should flatten nested objects', function(done) {
+      var json = test.fixture('track-nested-flatten');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should hash long message ids into $insert_id', function(done) {
+      var json = test.fixture('track-insert-id');
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should send the message id as $insert_id', function(done) {
+      var json = test.fixture('track-insert-id');
+      json.input.messageId = 'c1a04eba-2dd2-4c37-af97-8cbdaa7d2b2d';
+      json.output.properties.$insert_id = json.input.messageId;
+      test
+        .set(settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should apply the `integrations.Mixpanel` overrides', function(done) {
+      var json = test.fixture('track-overrides');
+      test
+        .set(settings)
+        .set(json.settings)
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(1, res.length);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should send the location instead of the ip with the `location` `.ipPolicy`', function(done) {
+      var json = test.fixture('track-location');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should drop the ip of every request with the `drop` `.ipPolicy`', function(done) {
+      var json = test.fixture('track-revenue');
+      test
+        .set(settings)
+        .set({ ipPolicy: 'drop', people: false })
+        .track(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(decode(test.reqs[0].qs.data).properties.ip, undefined);
+          assert.equal(decode(test.reqs[1].qs.data).$ip, 0);
+          test.reqs.forEach(function(req) {
+            assert.equal(req.qs.ip, '0');
+          });
+          done();
+        });
+    });
+
+    it('should send to the project of an overridden token', function(done) {
+      var msg = helpers.track({ integrations: { Mixpanel: { token: 'other-token', apiKey: 'other-key' } } });
+      var requests = [];
+      var server = listen({
+        '/track': [200, { status: 1, error: null }],
+        '/engage': [200, { status: 1, error: null }]
+      }, requests, function(base) {
+        test
+          .set(settings)
+          .set({ people: false, apiHost: base })
+          .track(msg)
+          .end(function(err) {
+            server.close();
+            if (err) return done(err);
+            var query = requests.map(function(req) {
+              return url.parse(req.url, true);
+            }).filter(function(req) {
+              return req.pathname === '/track';
+            })[0].query;
+            assert.equal(decode(query.data).properties.token, 'other-token');
+            assert.equal(query.api_key, 'other-key');
+            done();
+          });
+      });
+    });
+
+    it('should send the user\'s group keys with track', function(done) {
+      var json = test.fixture('track-groups');
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .query({ api_key: settings.apiKey })
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    // TODO: why are these tests not checking output payload?
+    it('should be able to track correctly', function(done){
+      mixpanel.track(helpers.track(), done);
+    });
+
+    // TODO: why are these tests not checking output payload?
+    it('should be able to track a bare call', function(done){
+      mixpanel.track(helpers.track.bare(), done);
+    });
+
+    it('should increment', function(done){
+      var track = helpers.track({ event: 'increment' });
+      mixpanel.settings.increments = [track.event()];
+      mixpanel.track(track, done);
+    })
+
+    it('should increment with the increment rules', function(done) {
+      var json = test.fixture('track-increment-rules');
+      json.input.timestamp = new Date();
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .track(json.input)
+        .requests(5)
+        .request(0)
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
+        .query('data', json.output, decode)
+        .end(function(err) {
+          if (err) return done(err);
+          var setOnce = decode(test.reqs[2].qs.data).$set_once;
+          assert.deepEqual(Object.keys(setOnce), ['First Order Completed']);
+          done();
+        });
+    });
+
+    it('should copy event properties onto the profile', function(done) {
+      var json = test.fixture('track-people-properties');
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .track(json.input)
+        .requests(2)
+        .request(1)
+        .query({ ip: '0', verbose: '1' })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should only copy the filtered and redacted event properties onto the profile', function(done) {
+      var json = test.fixture('track-people-properties');
+      json.input.properties.plan = 'enterprise, billed to 4111 1111 1111 1111';
+      json.input.properties.address = { city: 'Paris' };
+      json.settings.peopleProperties['Subscription Changed'] = ['plan', 'seats', 'address'];
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ propertyDenyList: ['seats'], redactPii: true })
+        .track(json.input)
+        .requests(2)
+        .end(function(err) {
+          if (err) return done(err);
+          var payload = decode(test.reqs[1].qs.data);
+          assert.deepEqual(payload.$set, {
+            plan: 'enterprise, billed to [REDACTED]',
+            address: '{"city":"Paris"}'
+          });
+          done();
+        });
+    });
+
+    it('should not copy event properties onto the profile if `.people` is false', function(done) {
+      var json = test.fixture('track-people-properties');
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .track(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(1, test.reqs.length);
+          done();
+        });
+    });
+
+    it('should $remove the device token when the app is uninstalled', function(done) {
+      var json = test.fixture('track-application-uninstalled');
+
+      test
+        .set(settings)
+        .track(json.input)
+        .requests(2)
+        .request(1)
+        .query({ ip: '0', verbose: '1' })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should not send events dropped by the `.eventRules`', function(done) {
+      test
+        .set(settings)
+        .set({ eventRules: [{ event: 'Baked a cake', drop: true }] })
+        .track(helpers.track())
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(0, test.reqs.length);
+          done();
+        });
+    });
+
+    it('should rename events and skip people updates with the `.eventRules`', function(done) {
+      test
+        .set(settings)
+        .set({
+          increments: ['Baked a cake'],
+          eventRules: [{ event: 'Baked a cake', rename: 'Cake Baked', skipPeople: true }]
+        })
+        .track(helpers.track())
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(1, test.reqs.length);
+          assert.equal(decode(test.reqs[0].qs.data).event, 'Cake Baked');
+          done();
+        });
+    });
+
+    it('should be able to track ill-formed traits', function(done){
+      mixpanel.track(helpers.track.bare({
+        context: {
+          traits: 'aaa'
+        }
+      }), done);
+    });
+  });
+
+  describe('.deleteUser()', function() {
+    var responses;
+    var requests;
+    var server;
+
+    beforeEach(function(done) {
+      requests = [];
+      responses = {
+        '/engage': [200, { status: 1, error: null }],
+        '/api/app/data-deletions/v3.0/': [200, { status: 'ok', results: { task_id: 'task-id' } }]
+      };
+      server = listen(responses, requests, function(base) {
+        mixpanel.url = function(path) {
+          return base + path;
+        };
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    it('should delete the user profile', function(done) {
+      mixpanel.deleteUser('delete-me', { ignoreAlias: true }, function(err, res) {
+        if (err) return done(err);
+        var data = decode(url.parse(requests[0].url, true).query.data);
+        assert.equal(data.$distinct_id, 'delete-me');
+        assert.equal(data.$token, settings.token);
+        assert.equal(data.$delete, '');
+        assert.equal(data.$ignore_alias, true);
+        assert.equal(requests.length, 1);
+        assert.equal(res.userId, 'delete-me');
+        assert.equal(res.profileDeleted, true);
+        assert.equal(res.eventDeletion, null);
+        assert(res.requestedAt);
+        done();
+      });
+    });
+
+    it('should error without a userId', function(done) {
+      mixpanel.deleteUser(null, function(err) {
+        assert.equal(err.code, errors.VALIDATION);
+        assert.equal(requests.length, 0);
+        done();
+      });
+    });
+
+    it('should error without a .token', function(done) {
+      delete mixpanel.settings.token;
+      mixpanel.deleteUser('delete-me', function(err) {
+        assert.equal(err.code, errors.VALIDATION);
+        assert.equal(requests.length, 0);
+        done();
+      });
+    });
+
+    it('should error with an unknown .region', function(done) {
+      delete mixpanel.url;
+      mixpanel.settings.region = 'mars';
+      mixpanel.deleteUser('delete-me', function(err) {
+        assert.equal(err.code, errors.VALIDATION);
+        assert.equal(requests.length, 0);
+        done();
+      });
+    });
+
+    it('should request the deletion of events with `.gdprApiToken`', function(done) {
+      mixpanel.settings.gdprApiToken = 'gdpr-token';
+      mixpanel.settings.complianceType = 'CCPA';
+      mixpanel.deleteUser('delete-me', function(err, res) {
+        if (err) return done(err);
+        var req = requests[1];
+        assert.equal(url.parse(req.url, true).query.token, settings.token);
+        assert.equal(req.headers.authorization, 'Bearer gdpr-token');
+        assert.deepEqual(res.eventDeletion, { taskId: 'task-id', complianceType: 'CCPA' });
+        done();
+      });
+    });
+
+    it('should not delete events when `deleteEvents` is false', function(done) {
+      mixpanel.settings.gdprApiToken = 'gdpr-token';
+      mixpanel.deleteUser('delete-me', { deleteEvents: false }, function(err, res) {
+        if (err) return done(err);
+        assert.equal(requests.length, 1);
+        assert.equal(res.eventDeletion, null);
+        done();
+      });
+    });
+
+    it('should classify rejected deletion requests', function(done) {
+      mixpanel.settings.gdprApiToken = 'gdpr-token';
+      responses['/api/app/data-deletions/v3.0/'] = [401, { status: 'error', error: 'Invalid token' }];
+      mixpanel.deleteUser('delete-me', function(err) {
+        assert.equal(err.code, errors.AUTH);
+        assert.equal(err.status, 401);
+        done();
+      });
+    });
+
+    it('should delete the user of `delete` messages', function(done) {
+      var msg = new Facade({
+        type: 'delete',
+        userId: 'delete-me',
+        integrations: { Mixpanel: { ignoreAlias: true } }
+      });
+
+      mixpanel.delete(msg, function(err, res) {
+        if (err) return done(err);
+        var data = decode(url.parse(requests[0].url, true).query.data);
+        assert.equal(data.$distinct_id, 'delete-me');
+        assert.equal(data.$ignore_alias, true);
+        assert.equal(res.userId, 'delete-me');
+        done();
+      });
+    });
+  });
+
+  describe('batching', function() {
+    beforeEach(function() {
+      mixpanel.settings.batch = true;
+      mixpanel.settings.people = false;
+    });
+
+    it('should send a full batch in a single request', function(done) {
+      var results = [];
+      mixpanel.settings.batchSize = 2;
+      mixpanel.track(helpers.track(), callback);
+      mixpanel.track(helpers.track(), callback);
+
+      function callback(err, res) {
+        results.push(err || res[0]);
+        if (results.length < 2) return;
+        if (err) return done(err);
+        assert.equal(200, results[0].status);
+        assert.equal(results[0], results[1]);
+        done();
+      }
+    });
+
+    it('should flush after `.batchInterval`', function(done) {
+      mixpanel.settings.batchInterval = 10;
+      mixpanel.track(helpers.track(), function(err, res) {
+        if (err) return done(err);
+        assert.equal(200, res[0].status);
+        done();
+      });
+    });
+
+    it('should flush buffered records on `.flush()`', function(done) {
+      var sent = false;
+      mixpanel.settings.batchInterval = 60000;
+      mixpanel.track(helpers.track.bare(), function(err) {
+        if (err) return done(err);
+        sent = true;
+      });
+      mixpanel.flush(function(err) {
+        if (err) return done(err);
+        assert(sent);
+        done();
+      });
+    });
+
+    it('should only fail the records Mixpanel rejected', function(done) {
+      var results = [];
+      var queue = new Queue({ size: 3, interval: 60000 }, function(key, records, fn) {
+        var err = new errors.MixpanelError(errors.VALIDATION, 'some data points in the request failed validation', 400);
+        err.records = [
+          { index: 0, insertId: 'a', field: 'properties.time', message: 'time is invalid' },
+          { insertId: 'c', field: 'event', message: 'event is empty' }
+        ];
+        fn(err, { status: 400 });
+      });
+
+      ['a', 'b', 'c'].forEach(function(id) {
+        queue.push('token', { properties: { $insert_id: id } }, function(err) {
+          results.push(err);
+          if (results.length < 3) return;
+          assert.equal(results[0].message, 'time is invalid');
+          assert.equal(results[0].records[0].insertId, 'a');
+          assert.equal(results[1], null);
+          assert.equal(results[2].message, 'event is empty');
+          assert.equal(results[2].code, errors.VALIDATION);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.alias()', function(){
+    it('should be able to alias properly', function(done){
+      var json = test.fixture('alias-basic');
+      test
+        .set(settings)
+        .alias(json.input)
+        .query('data', json.output, decode)
+        .query('api_key', settings.apiKey)
+        .query('verbose', '1')
+        .query('ip', '0')
+        .expects(200)
+        .end(done);
+    });
+
+
+    it('should error on invalid request', function(done){
+      test
+        .set({ apiKey: 'x' })
+        .set({ secret: 'x' })
+        .set({ token: 'x' })
+        .alias({})
+        .error('distinct_id, missing or empty', done);
+    });
+
+    it('should merge ids with the `merge` identity strategy', function(done) {
+      var json = test.fixture('alias-merge');
+      json.input.timestamp = new Date();
+      json.output.properties.time = time(json.input.timestamp);
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .alias(json.input)
+        .query('data', json.output, decode)
+        .query('api_key', settings.apiKey)
+        .query('verbose', '1')
+        .query('ip', '0')
+        .expects(200)
+        .end(done);
+    });
+
+    it('should merge ids through the strict `/import` API with the project secret', function(done) {
+      var json = test.fixture('alias-merge');
+      json.input.timestamp = new Date();
+      json.output.properties.time = time(json.input.timestamp);
+      delete settings.apiKey;
+
+      test
+        .set(settings)
+        .set(json.settings)
+        .set({ projectSecret: 'x' })
+        .alias(json.input)
+        .end(function() {
+          var req = test.reqs[0];
+          assert.equal(req.req.path, '/import?strict=1&ip=0');
+          assert.deepEqual(req._data, [json.output]);
+          done();
+        });
+    });
+
+    it('should be invalid to merge ids without an .apiKey or .projectSecret', function() {
+      var json = test.fixture('alias-merge');
+      delete settings.apiKey;
+      settings.identityMerge = 'merge';
+      test.invalid(json.input, settings);
+    });
+
+    it('should not alias with the `simplified` identity strategy', function(done) {
+      var json = test.fixture('alias-basic');
+      test
+        .set(settings)
+        .set({ identityMerge: 'simplified' })
+        .alias(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(0, test.reqs.length);
           done();
         });
     });
 
-    it('should have proper error status code', function(done){
-      var json = test.fixture('track-basic');
-      json.input.userId = uuid();
-      // sending timestamp far in the future will trigger an error response from their API
-      json.input.timestamp = new Date('2123-09-16');
-    
-      test
-        .set(settings)
-        .set({ people: false })
-        .track(json.input)
-        .end(function(err, res){
-          console.log(res);
-          assert.equal(err.status, 400);
+    it('should classify errors and include the message id', function(done) {
+      var requests = [];
+      var server = listen({
+        '/track': [200, { status: 0, error: 'Invalid data' }]
+      }, requests, function(base) {
+        mixpanel.settings.apiHost = base;
+        mixpanel.alias(helpers.alias({ messageId: 'alias-message-id' }), function(err) {
+          server.close();
+          assert.equal(err.code, errors.VALIDATION);
+          assert.equal(err.retryable, false);
+          assert.equal(err.messageId, 'alias-message-id');
+          assert.equal(requests.length, 1);
           done();
         });
+      });
     });
+  });
 
-    it('should send revenue correctly', function(done){
-      var json = test.fixture('track-revenue');
-      var timestamp = json.input.timestamp = new Date();
-      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+  describe('rules', function() {
+    it('should drop events by name', function() {
+      var route = rules(helpers.track(), [{ event: 'Baked *', drop: true }]);
+      assert.equal(route.drop, true);
+    });
 
-      var suite = test
-        .requests(2) // total number of requests
-        .set(settings)
-        .set({ people: false })
-        .track(json.input);
+    it('should drop events by property predicate', function() {
+      var track = helpers.track();
+      assert.equal(rules(track, [{ properties: { numLayers: { $gt: 20 } }, drop: true }]).drop, false);
+      assert.equal(rules(track, [{ properties: { 'address.state': 'CA', numLayers: { $lte: 10 } }, drop: true }]).drop, true);
+    });
 
-      suite
-        .request(1) // second request
-        .query({ verbose: '1' })
-        .query({ ip: '0' })
-        .query('data', json.output, decode)
-        .end(function(err, res){
-          if (err) return done(err);
-          assert.equal(200, res[0].status);
-          done();
-        });
+    it('should match later rules against the renamed event', function() {
+      var route = rules(helpers.track(), [
+        { event: 'Baked a cake', rename: 'Cake Baked' },
+        { event: 'Cake Baked', import: true, skipPeople: true }
+      ]);
+      assert.equal(route.event, 'Cake Baked');
+      assert.equal(route.import, true);
+      assert.equal(route.skipPeople, true);
     });
 
-    it('should not send last seen with revenue if active flag is false', function(done){
-      var json = test.fixture('track-ignore-time-with-revenue');
-      var timestamp = json.input.timestamp = new Date();
-      json.output.$append.$transactions.$time = timestamp.toISOString().slice(0,19);
+    it('should leave unmatched events alone', function() {
+      var route = rules(helpers.track(), [{ event: '/^debug/i', drop: true, rename: 'Debug' }]);
+      assert.deepEqual(route, { drop: false, event: 'Baked a cake', import: false, skipPeople: false });
+    });
 
-      var suite = test
-        .requests(2) // total number of requests
-        .set(settings)
-        .set({ people: false })
-        .track(json.input);
+    it('should not match invalid regular expressions', function() {
+      var route = rules(helpers.track(), [{ event: '/(Baked/', drop: true }]);
+      assert.equal(route.drop, false);
+    });
 
-      suite
-        .request(1) // second request
-        .query({ verbose: '1' })
-        .query({ ip: '0' })
-        .query('data', json.output, decode)
-        .end(function(err, res){
-          if (err) return done(err);
-          assert.equal(200, res[0].status);
-          done();
-        });
+    it('should report invalid regular expressions', function() {
+      assert.equal(rules.validate([{ event: 'Baked *' }, { event: ['/^ok$/', '/(Baked/i'] }]),
+        '.eventRules[1].event "/(Baked/i" is not a valid regular expression.');
+      assert.equal(rules.validate([{ event: '/^Baked/i' }]), undefined);
     });
+  });
 
-    it('should send track with context correctly', function(done){
-      var json = test.fixture('track-context');
-      test
-        .set(settings)
-        .set({ people: false })
-        .track(json.input)
-        .query({ api_key: settings.apiKey })
-        .query({ verbose: '1' })
-        .query('data', json.output, decode)
-        .end(function(err, res){
-          if (err) return done(err);
-          assert.equal(1, res.length);
-          assert.equal(200, res[0].status);
-          done();
+  describe('projects', function() {
+    var requests;
+    var server;
+    var host;
+
+    beforeEach(function(done) {
+      requests = [];
+      server = listen({
+        '/track': [200, { status: 1, error: null }],
+        '/engage': [200, { status: 1, error: null }]
+      }, requests, function(base) {
+        mixpanel.settings.apiHost = host = base;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    it('should filter projects by type, event and properties', function() {
+      var track = helpers.track();
+      assert(rules.matches(track));
+      assert(rules.matches(track, { types: ['track'], events: ['Baked *'] }));
+      assert(!rules.matches(track, { types: ['identify'] }));
+      assert(!rules.matches(track, { events: ['Order *'] }));
+      assert(!rules.matches(track, { properties: { numLayers: { $lt: 5 } } }));
+      assert(rules.matches(helpers.identify(), { events: ['Order *'], properties: { state: 'CA' } }));
+    });
+
+    it('should send to every matching project', function(done) {
+      mixpanel.settings.people = false;
+      mixpanel.settings.projects = [
+        { token: 'sandbox', apiHost: host, filters: { events: ['Baked *'] } },
+        { token: 'orders', apiHost: host, filters: { events: ['Order *'] } }
+      ];
+      mixpanel.track(helpers.track(), function(err, results) {
+        if (err) return done(err);
+        assert.equal(results.length, 2);
+        assert.equal(results[0].token, settings.token);
+        assert.equal(results[1].token, 'sandbox');
+        results.forEach(function(result) {
+          assert.equal(result.error, null);
         });
+        var events = requests.filter(function(req) {
+          return url.parse(req.url).pathname === '/track';
+        });
+        assert.equal(events.length, 2);
+        done();
+      });
     });
 
-    it('should send track with referrer correctly', function(done){
-      var json = test.fixture('track-referrer');
-      test
-        .set(settings)
-        .set({ people: false })
-        .track(json.input)
-        .query({ api_key: settings.apiKey })
-        .query({ verbose: '1' })
-        .query('data', json.output, decode)
-        .end(function(err, res){
-          if (err) return done(err);
-          assert.equal(1, res.length);
-          assert.equal(200, res[0].status);
-          done();
+    it('should report the errors of other projects without failing the message', function(done) {
+      var emitted = [];
+      mixpanel.settings.projects = [{ token: 'x', apiHost: 'http://127.0.0.1:1' }];
+      mixpanel.on('project error', function(err, token) {
+        emitted.push({ token: token, code: err.code });
+      });
+      mixpanel.alias(helpers.alias(), function(err, results) {
+        if (err) return done(err);
+        assert.equal(results.length, 2);
+        assert.equal(results[0].error, null);
+        assert.equal(results[1].token, 'x');
+        assert.equal(results[1].error.code, errors.NETWORK);
+        assert.deepEqual(emitted, [{ token: 'x', code: errors.NETWORK }]);
+        done();
+      });
+    });
+
+    it('should not send to other projects when the main project fails', function(done) {
+      mixpanel.settings.apiHost = 'http://127.0.0.1:1';
+      mixpanel.settings.projects = [{ token: 'x', apiHost: host }];
+      mixpanel.alias(helpers.alias(), function(err, results) {
+        assert.equal(err.code, errors.NETWORK);
+        assert.equal(results.length, 1);
+        assert.equal(results[0].error, err);
+        assert.equal(requests.length, 0);
+        done();
+      });
+    });
+
+    it('should not pass the credentials or host on to other projects', function() {
+      mixpanel.settings.projectSecret = 'secret';
+      mixpanel.settings.gdprApiToken = 'gdpr';
+      mixpanel.settings.region = 'eu';
+      mixpanel.settings.projects = [{ token: 'x' }];
+      var project = mixpanel.target(mixpanel.settings.projects[0], 1);
+      assert.equal(project.settings.token, 'x');
+      assert.equal(project.settings.apiKey, undefined);
+      assert.equal(project.settings.projectSecret, undefined);
+      assert.equal(project.settings.gdprApiToken, undefined);
+      assert.equal(project.settings.apiHost, undefined);
+      assert.equal(project.url('/track'), 'https://api.mixpanel.com/track');
+      assert.equal(mixpanel.target({}, 0).settings.projectSecret, 'secret');
+      assert.equal(mixpanel.target({}, 0).settings.region, 'eu');
+    });
+
+    it('should ignore credential overrides in other projects', function(done) {
+      var alias = helpers.alias();
+      alias.obj.integrations = { Mixpanel: { token: 'override' } };
+      mixpanel.settings.projects = [{ token: 'x', apiHost: host }];
+      mixpanel.alias(alias, function(err) {
+        if (err) return done(err);
+        var tokens = requests.map(function(req) {
+          return decode(url.parse(req.url, true).query.data).properties.token;
         });
+        assert.deepEqual(tokens, ['override', 'x']);
+        done();
+      });
     });
+  });
 
+  describe('errors', function() {
+    it('should flag rate limits as retryable with a retry hint', function() {
+      var res = { status: 429, body: {}, header: { 'retry-after': '30' } };
+      var err = errors.fromResponse(new Error('Too Many Requests'), res);
+      assert.equal(err.code, errors.RATE_LIMIT);
+      assert.equal(err.status, 429);
+      assert.equal(err.retryable, true);
+      assert.equal(err.retryAfter, 30000);
+    });
 
-    // TODO: why are these tests not checking output payload?
-    it('should be able to track correctly', function(done){
-      mixpanel.track(helpers.track(), done);
+    it('should flag server errors as retryable', function() {
+      var err = errors.fromResponse(new Error('Bad Gateway'), { status: 502 });
+      assert.equal(err.code, errors.SERVER);
+      assert.equal(err.retryable, true);
     });
 
-    // TODO: why are these tests not checking output payload?
-    it('should be able to track a bare call', function(done){
-      mixpanel.track(helpers.track.bare(), done);
+    it('should flag network errors as retryable', function() {
+      var err = errors.fromResponse(new Error('socket hang up'));
+      assert.equal(err.code, errors.NETWORK);
+      assert.equal(err.retryable, true);
     });
 
-    it('should increment', function(done){
-      var track = helpers.track({ event: 'increment' });
-      mixpanel.settings.increments = [track.event()];
-      mixpanel.track(track, done);
-    })
+    it('should keep the code and timeout of network errors', function() {
+      var timeout = new Error('timeout of 100ms exceeded');
+      timeout.code = 'ECONNABORTED';
+      timeout.timeout = 100;
+      var err = errors.fromResponse(timeout);
+      assert.equal(err.code, errors.NETWORK);
+      assert.equal(err.errno, 'ECONNABORTED');
+      assert.equal(err.timeout, 100);
+      assert.equal(err.retryable, true);
+      assert.equal(err.cause, timeout);
+    });
 
-    it('should be able to track ill-formed traits', function(done){
-      mixpanel.track(helpers.track.bare({
-        context: {
-          traits: 'aaa'
-        }
-      }), done);
+    it('should not retry oversized payloads', function() {
+      var err = errors.fromResponse(new Error('Payload Too Large'), { status: 413 });
+      assert.equal(err.code, errors.PAYLOAD_TOO_LARGE);
+      assert.equal(err.retryable, false);
+    });
+
+    it('should classify api_key errors in the response body as auth errors', function() {
+      var err = errors.fromBody({ status: 0, error: 'Invalid api_key' });
+      assert.equal(err.code, errors.AUTH);
+      assert.equal(err.status, 401);
+      assert.equal(err.retryable, false);
+    });
+
+    it('should handle bodies without an error', function() {
+      var err = errors.fromBody({ status: 0 });
+      assert.equal(err.code, errors.VALIDATION);
+      assert.equal(err.status, 400);
     });
   });
 
-  describe('.alias()', function(){
-    it('should be able to alias properly', function(done){
-      var json = test.fixture('alias-basic');
+  describe('.group()', function() {
+    it('should do nothing if `.groupKey` is missing', function(done) {
+      var json = test.fixture('group-basic');
       test
         .set(settings)
-        .alias(json.input)
+        .group(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(0, test.reqs.length);
+          done();
+        });
+    });
+
+    it('should send the group profile correctly', function(done) {
+      var json = test.fixture('group-basic');
+      test
+        .set(settings)
+        .set(json.settings)
+        .group(json.input)
+        .request(0)
+        .query({ verbose: '1' })
+        .query({ ip: '0' })
         .query('data', json.output, decode)
-        .query('api_key', settings.apiKey)
-        .query('verbose', '1')
-        .query('ip', '0')
         .expects(200)
         .end(done);
     });
 
+    it('should union the group key onto the user profile', function(done) {
+      var json = test.fixture('group-union');
+      test
+        .set(settings)
+        .set(json.settings)
+        .group(json.input)
+        .request(1)
+        .query({ ip: '0', verbose: '1' })
+        .query('data', json.output, decode)
+        .expects(200)
+        .end(done);
+    });
 
-    it('should error on invalid request', function(done){
+    it('should not update the user profile if `.people` is false', function(done) {
+      var json = test.fixture('group-union');
       test
-        .set({ apiKey: 'x' })
-        .set({ secret: 'x' })
-        .set({ token: 'x' })
-        .alias({})
-        .error('distinct_id, missing or empty', done);
+        .set(settings)
+        .set(json.settings)
+        .set({ people: false })
+        .group(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(1, test.reqs.length);
+          done();
+        });
     });
   });
 
@@ -323,6 +1900,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -339,6 +1917,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -355,6 +1934,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -371,6 +1951,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -387,6 +1968,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -394,6 +1976,75 @@ describe('Mixpanel', function(){
         });
     });
 
+    it('should name pages with the `.pageNameTemplate`', function(done) {
+      var json = test.fixture('page-template');
+      test
+        .set(settings)
+        .set(json.settings)
+        .page(json.input)
+        .query('data', json.output, decode)
+        .query('api_key', settings.apiKey)
+        .query('verbose', '1')
+        .query('ip', '0')
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should only send the page context in `.pageProperties`', function(done) {
+      var json = test.fixture('page-properties');
+      test
+        .set(settings)
+        .set(json.settings)
+        .page(json.input)
+        .query('data', json.output, decode)
+        .query('api_key', settings.apiKey)
+        .query('verbose', '1')
+        .query('ip', '0')
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
+    it('should let `.consolidatedPageCalls` win over every other mode', function(done) {
+      var json = test.fixture('page-named');
+      test
+        .set(settings)
+        .set({
+          consolidatedPageCalls: true,
+          trackAllPages: true,
+          trackNamedPages: true,
+          pageNameTemplate: 'Viewed {{name}}'
+        })
+        .page(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(decode(test.reqs[0].qs.data).event, 'Loaded a Page');
+          done();
+        });
+    });
+
+    it('should let `.trackAllPages` win over the categorized and named modes', function(done) {
+      var json = test.fixture('page-named');
+      test
+        .set(settings)
+        .set({
+          trackAllPages: true,
+          trackCategorizedPages: true,
+          trackNamedPages: true
+        })
+        .page(json.input)
+        .end(function(err) {
+          if (err) return done(err);
+          assert.equal(decode(test.reqs[0].qs.data).event, 'Loaded a Page');
+          done();
+        });
+    });
+
     it('should not send any requests for disabled pages', function(done){
       var json = test.fixture('page-named');
       test
@@ -412,6 +2063,23 @@ describe('Mixpanel', function(){
   });
 
   describe('.screen()', function(){
+    it('should name screens with the `.screenNameTemplate`', function(done) {
+      var json = test.fixture('screen-template');
+      test
+        .set(settings)
+        .set(json.settings)
+        .screen(json.input)
+        .query('data', json.output, decode)
+        .query('api_key', settings.apiKey)
+        .query('verbose', '1')
+        .query('ip', '0')
+        .end(function(err, res) {
+          if (err) return done(err);
+          assert.equal(200, res[0].status);
+          done();
+        });
+    });
+
     it('should be able to track all screens', function(done){
       var json = test.fixture('screen-all');
       test
@@ -421,6 +2089,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -437,6 +2106,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -453,6 +2123,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -469,6 +2140,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -485,6 +2157,7 @@ describe('Mixpanel', function(){
         .query('data', json.output, decode)
         .query('api_key', settings.apiKey)
         .query('verbose', '1')
+        .query('ip', '0')
         .end(function(err, res){
           if (err) return done(err);
           assert.equal(200, res[0].status);
@@ -534,3 +2207,21 @@ function updateFixtureTimestamp(fixture) {
   fixture.output.$time = date.getTime();
   return fixture;
 }
+
+/**
+ * Answer requests on a local server with the `[status, body]` of their
+ * path in `responses`, collecting them in `requests`.
+ */
+
+function listen(responses, requests, fn) {
+  var server = http.createServer(function(req, res) {
+    var response = responses[req.url.split('?')[0]] || [404, {}];
+    requests.push(req);
+    res.writeHead(response[0], { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response[1]));
+  });
+  server.listen(0, '127.0.0.1', function() {
+    fn('http://127.0.0.1:' + server.address().port);
+  });
+  return server;
+}